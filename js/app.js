@@ -6,6 +6,15 @@ document.addEventListener('DOMContentLoaded', function() {
     const playlistForm = document.getElementById('playlist-form');
     const playlistUrlInput = document.getElementById('playlist-url');
     const apiKeyInput = document.getElementById('api-key');
+    const scrapingProxyInput = document.getElementById('scraping-proxy');
+    const helperUrlInput = document.getElementById('helper-url');
+    const helperStatusSpan = document.getElementById('helper-status');
+    const batchRequestsInput = document.getElementById('batch-requests');
+    const demoModeInput = document.getElementById('demo-mode');
+    const concurrencyInput = document.getElementById('concurrency');
+    const forceRefreshInput = document.getElementById('force-refresh');
+    const cacheSizeSpan = document.getElementById('cache-size');
+    const clearCacheBtn = document.getElementById('clear-cache-btn');
     const extractBtn = document.getElementById('extract-btn');
     const progressSection = document.getElementById('progress-section');
     const resultsSection = document.getElementById('results-section');
@@ -14,15 +23,65 @@ document.addEventListener('DOMContentLoaded', function() {
     const progressPercentage = document.getElementById('progress-percentage');
     const progressStatus = document.getElementById('progress-status');
     const videosProcessed = document.getElementById('videos-processed');
-    const videosTotal = document.getElementById('total-videos');
+    const videosTotal = document.getElementById('videos-total');
     const currentVideoTitle = document.getElementById('current-video-title');
+    const etaSpan = document.getElementById('eta');
+    const pauseBtn = document.getElementById('pause-btn');
+    const cancelBtn = document.getElementById('cancel-btn');
+    const quotaUsedSpan = document.getElementById('quota-used');
+    const quotaLimitSpan = document.getElementById('quota-limit');
     const totalVideosSpan = document.getElementById('total-videos');
     const totalScreenshotsSpan = document.getElementById('total-screenshots');
     const totalTimeSpan = document.getElementById('total-time');
+    const sourceList = document.getElementById('source-list');
+    const failuresPanel = document.getElementById('failures');
+    const failuresSummary = document.getElementById('failures-summary');
+    const failureList = document.getElementById('failure-list');
+    const retryFailuresBtn = document.getElementById('retry-failures-btn');
+    const demoBanner = document.getElementById('demo-banner');
+    const partialBanner = document.getElementById('partial-banner');
+    const resultsMessage = document.getElementById('results-message');
+    const fieldStatusBody = document.getElementById('field-status-body');
+    const columnPresetSelect = document.getElementById('column-preset');
+    const columnList = document.getElementById('column-list');
+    const countUnavailableInput = document.getElementById('count-unavailable');
+    const presetNameInput = document.getElementById('preset-name');
+    const cardTemplatePresetSelect = document.getElementById('card-template-preset');
+    const deleteCardTemplateBtn = document.getElementById('delete-card-template-btn');
+    const cardTemplateControls = document.querySelectorAll('[data-template-key]');
+    const cardLogoInput = document.getElementById('card-logo');
+    const removeCardLogoBtn = document.getElementById('remove-card-logo-btn');
+    const cardFieldList = document.getElementById('card-field-list');
+    const cardPreview = document.getElementById('card-preview');
+    const cardTemplateNameInput = document.getElementById('card-template-name');
+    const saveCardTemplateBtn = document.getElementById('save-card-template-btn');
+    const cardTemplateStatus = document.getElementById('card-template-status');
+    const savePresetBtn = document.getElementById('save-preset-btn');
+    const deletePresetBtn = document.getElementById('delete-preset-btn');
     const downloadExcelBtn = document.getElementById('download-excel');
     const downloadWordBtn = document.getElementById('download-word');
+    const downloadCsvBtn = document.getElementById('download-csv');
+    const downloadStatus = document.getElementById('download-status');
     const tryAgainBtn = document.getElementById('try-again-btn');
     const errorMessage = document.getElementById('error-message');
+    const resumeBanner = document.getElementById('resume-banner');
+    const resumeMessage = document.getElementById('resume-message');
+    const resumeBtn = document.getElementById('resume-btn');
+    const discardJobBtn = document.getElementById('discard-job-btn');
+    const historyPanel = document.getElementById('history');
+    const historyList = document.getElementById('history-list');
+    const clearHistoryBtn = document.getElementById('clear-history-btn');
+    const newExtractionBtn = document.getElementById('new-extraction-btn');
+    const compareRow = document.getElementById('compare-row');
+    const compareOldSelect = document.getElementById('compare-old');
+    const compareNewSelect = document.getElementById('compare-new');
+    const compareBtn = document.getElementById('compare-btn');
+    const compareSection = document.getElementById('compare-section');
+    const compareSummary = document.getElementById('compare-summary');
+    const compareBody = document.getElementById('compare-body');
+    const downloadDiffBtn = document.getElementById('download-diff');
+    const compareStatus = document.getElementById('compare-status');
+    const closeCompareBtn = document.getElementById('close-compare-btn');
     const apiInstructionsLink = document.getElementById('api-instructions-link');
     const apiModal = document.getElementById('api-modal');
     const closeModal = document.querySelector('.close-modal');
@@ -30,24 +89,113 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize extractor and document generator
     const extractor = new YouTubeExtractor();
     const docGenerator = new DocumentGenerator();
+    const exportColumns = new ExportColumns();
+    const jobStore = new JobStore();
+    extractor.setJobStore(jobStore);
+    const responseCache = new ResponseCache();
+    extractor.setResponseCache(responseCache);
+    
+    // Extraction and exports run in a worker when the browser allows it
+    const extractionClient = new ExtractionClient(extractor, docGenerator);
+    
+    // Most recent unfinished job, offered for resume
+    let pendingJob = null;
+    
+    // Comparison between two past runs, kept for the Excel download
+    let currentDiff = null;
+    
+    // Whether the running extraction is paused
+    let paused = false;
+    
+    // Export column picker state: display order of every column and the ones selected
+    let columnOrder = [];
+    let selectedColumns = new Set();
+    applyColumnSelection(exportColumns.getSelected());
+    renderPresetOptions();
     
     // Data storage for extracted information
     let extractedData = {
         videos: [],
         screenshots: [],
-        totalDuration: 0
+        totalDuration: 0,
+        quotaUsed: 0
     };
+    
+    // Evidence card editor state: the template used for new captures and the images its preview draws
+    const cardTemplates = new CardTemplates();
+    let cardTemplate = cardTemplates.getSelected();
+    const previewImages = new Map();
+    let previewRender = 0;
+    fillCardTemplateOptions();
+    renderCardTemplateOptions();
+    renderCardTemplateControls();
 
     // Check for saved API key in localStorage
     if (localStorage.getItem('youtube_api_key')) {
         apiKeyInput.value = localStorage.getItem('youtube_api_key');
     }
+    
+    // Restore the CORS proxy used for scraping
+    scrapingProxyInput.value = localStorage.getItem('youtube_scraping_proxy') || '';
+    
+    // Restore the local helper address and look for it
+    helperUrlInput.value = localStorage.getItem('youtube_helper_url') || PageScraper.DEFAULT_HELPER_URL;
+    let helperHealth = null;
+    detectHelper();
+    
+    // Restore batched lookups preference
+    if (localStorage.getItem('youtube_batch_requests') === 'false') {
+        batchRequestsInput.checked = false;
+    }
+    
+    // Restore the parallel processing limit
+    if (localStorage.getItem('youtube_concurrency')) {
+        concurrencyInput.value = localStorage.getItem('youtube_concurrency');
+    }
+    concurrencyInput.max = YouTubeExtractor.MAX_CONCURRENCY;
+    
+    // Restore whether unavailable videos count toward the totals
+    countUnavailableInput.checked = localStorage.getItem('youtube_count_unavailable') === 'true';
+    
+    quotaLimitSpan.textContent = YouTubeExtractor.DAILY_QUOTA.toLocaleString();
+    
+    // Offer to resume a job interrupted by a closed tab or a dropped connection
+    refreshJobs();
+    refreshCacheSize();
+
+    // Demo mode does not need any link
+    demoModeInput.addEventListener('change', function() {
+        playlistUrlInput.required = !demoModeInput.checked;
+    });
 
     // Event Listeners
     playlistForm.addEventListener('submit', handleFormSubmit);
     downloadExcelBtn.addEventListener('click', handleExcelDownload);
     downloadWordBtn.addEventListener('click', handleWordDownload);
+    downloadCsvBtn.addEventListener('click', handleCsvDownload);
+    columnPresetSelect.addEventListener('change', handlePresetChange);
+    savePresetBtn.addEventListener('click', handlePresetSave);
+    deletePresetBtn.addEventListener('click', handlePresetDelete);
     tryAgainBtn.addEventListener('click', resetForm);
+    pauseBtn.addEventListener('click', handlePauseToggle);
+    cancelBtn.addEventListener('click', handleCancel);
+    resumeBtn.addEventListener('click', () => pendingJob && resumeJob(pendingJob));
+    discardJobBtn.addEventListener('click', () => pendingJob && deleteJob(pendingJob.id));
+    clearHistoryBtn.addEventListener('click', clearHistory);
+    newExtractionBtn.addEventListener('click', resetForm);
+    retryFailuresBtn.addEventListener('click', handleRetryFailures);
+    clearCacheBtn.addEventListener('click', handleClearCache);
+    helperUrlInput.addEventListener('change', handleHelperUrlChange);
+    countUnavailableInput.addEventListener('change', handleCountUnavailableChange);
+    compareBtn.addEventListener('click', handleCompare);
+    downloadDiffBtn.addEventListener('click', handleDiffDownload);
+    closeCompareBtn.addEventListener('click', resetForm);
+    cardTemplatePresetSelect.addEventListener('change', handleCardTemplateChange);
+    saveCardTemplateBtn.addEventListener('click', handleCardTemplateSave);
+    deleteCardTemplateBtn.addEventListener('click', handleCardTemplateDelete);
+    cardTemplateControls.forEach(control => control.addEventListener('input', handleCardTemplateInput));
+    cardLogoInput.addEventListener('change', handleCardLogoChange);
+    removeCardLogoBtn.addEventListener('click', () => updateCardTemplate({ logo: null }));
     
     // Modal handling
     if (apiInstructionsLink && apiModal) {
@@ -72,32 +220,77 @@ document.addEventListener('DOMContentLoaded', function() {
     // Form submission handler
     async function handleFormSubmit(e) {
         e.preventDefault();
-        const playlistUrl = playlistUrlInput.value.trim();
         const apiKey = apiKeyInput.value.trim();
         
-        if (!isValidYouTubePlaylistUrl(playlistUrl)) {
-            showError('Por favor, insira um link válido de playlist do YouTube.');
+        const demoMode = demoModeInput.checked;
+        
+        // Turn the pasted links into sources
+        const { sources, invalid } = extractor.resolver.parse(playlistUrlInput.value);
+        
+        if (invalid.length > 0 && !demoMode) {
+            showError(`Links não reconhecidos: ${invalid.join(', ')}`);
+            return;
+        }
+        
+        if (sources.length === 0 && !demoMode) {
+            showError('Por favor, insira um link válido de playlist, canal ou vídeo do YouTube.');
             return;
         }
 
         // Save API key to localStorage if provided
         if (apiKey) {
             localStorage.setItem('youtube_api_key', apiKey);
-            extractor.setApiKey(apiKey);
         } else {
             localStorage.removeItem('youtube_api_key');
         }
+        extractor.setApiKey(apiKey);
+        
+        // Save the CORS proxy used for scraping
+        localStorage.setItem('youtube_scraping_proxy', scrapingProxyInput.value.trim());
+        extractor.setScrapingProxy(scrapingProxyInput.value);
+        applyHelper();
+        
+        // Save batched lookups preference
+        localStorage.setItem('youtube_batch_requests', String(batchRequestsInput.checked));
+        extractor.setBatchRequests(batchRequestsInput.checked);
+        extractor.setDemoMode(demoMode);
+        extractor.setForceRefresh(forceRefreshInput.checked);
+        extractor.setCardTemplate(cardTemplate);
+        
+        // Save the parallel processing limit
+        extractor.setConcurrency(concurrencyInput.value);
+        concurrencyInput.value = extractor.concurrency;
+        localStorage.setItem('youtube_concurrency', String(extractor.concurrency));
+
+        await runExtraction(sources, null);
+    }
 
+    // Continue an interrupted job with the settings it was started with
+    async function resumeJob(job) {
+        extractor.setApiKey(apiKeyInput.value.trim());
+        extractor.setScrapingProxy(scrapingProxyInput.value);
+        applyHelper();
+        extractor.setBatchRequests(job.batchRequests !== false);
+        extractor.setDemoMode(!!job.demo);
+        extractor.setConcurrency(concurrencyInput.value);
+        extractor.setForceRefresh(forceRefreshInput.checked);
+        extractor.setCardTemplate(cardTemplate);
+        
+        await runExtraction(job.sources, job);
+    }
+
+    // Run an extraction, or resume one, and show its results
+    async function runExtraction(sources, job) {
         // Hide input section, show progress section
         document.querySelector('.input-section').classList.add('hidden');
         progressSection.classList.remove('hidden');
-        
-        // Extract playlist ID
-        const playlistId = extractPlaylistId(playlistUrl);
+        setPaused(false);
+        pauseBtn.disabled = false;
+        cancelBtn.disabled = false;
         
         try {
-            // Start extraction process
-            extractedData = await extractor.processPlaylist(playlistId, updateProgress);
+            // Start extraction process; a cancelled run resolves with the videos processed so far
+            extractedData = await extractionClient.processSources(sources, updateProgress, job);
             
             // Show results
             showResults();
@@ -105,13 +298,370 @@ document.addEventListener('DOMContentLoaded', function() {
             console.error('Extraction error:', error);
             showError(error.message || 'Ocorreu um erro durante a extração dos dados.');
         }
+        
+        refreshJobs();
+        refreshCacheSize();
+    }
+
+    // Show how many API responses are cached and roughly how much space they take
+    async function refreshCacheSize() {
+        if (!responseCache.isSupported()) {
+            cacheSizeSpan.textContent = 'indisponível neste navegador';
+            clearCacheBtn.disabled = true;
+            return;
+        }
+        
+        try {
+            const size = await responseCache.getSize();
+            cacheSizeSpan.textContent = `${size.count.toLocaleString()} registros (${(size.bytes / 1024).toLocaleString(undefined, { maximumFractionDigits: 1 })} KB)`;
+        } catch (error) {
+            console.warn('Could not measure the response cache:', error);
+            cacheSizeSpan.textContent = 'indisponível';
+        }
+    }
+
+    // Look for the local helper at the configured address and show whether it answered
+    async function detectHelper() {
+        const helperUrl = helperUrlInput.value.trim();
+        helperHealth = null;
+        if (!helperUrl) {
+            helperStatusSpan.textContent = 'desativado';
+            return;
+        }
+        
+        helperStatusSpan.textContent = 'procurando…';
+        const health = await PageScraper.checkHelper(helperUrl);
+        if (helperUrlInput.value.trim() !== helperUrl) {
+            // The address changed while this check was running
+            return;
+        }
+        helperHealth = health;
+        if (!health) {
+            helperStatusSpan.textContent = 'não encontrado';
+        } else {
+            helperStatusSpan.textContent = health.screenshots ? 'conectado (capturas reais)' : 'conectado (sem capturas: instale o puppeteer)';
+        }
+    }
+
+    // Save a new helper address and check it
+    function handleHelperUrlChange() {
+        localStorage.setItem('youtube_helper_url', helperUrlInput.value.trim());
+        detectHelper();
+    }
+
+    // Route page loads and screenshots through the helper only while it answers
+    function applyHelper() {
+        if (helperHealth) {
+            extractor.setHelper(helperUrlInput.value, helperHealth.screenshots);
+        } else {
+            extractor.setHelper('', false);
+        }
+    }
+
+    // Delete every cached API response after confirmation
+    async function handleClearCache() {
+        if (!window.confirm('Apagar as respostas da API guardadas em cache? A próxima extração consultará a API novamente.')) {
+            return;
+        }
+        
+        try {
+            await responseCache.clear();
+        } catch (error) {
+            console.warn('Could not clear the response cache:', error);
+        }
+        refreshCacheSize();
+    }
+
+    // Pause the running extraction, or continue a paused one
+    function handlePauseToggle() {
+        if (paused) {
+            extractionClient.resume();
+            setPaused(false);
+            progressStatus.textContent = 'Continuando...';
+        } else {
+            extractionClient.pause();
+            setPaused(true);
+            progressStatus.textContent = 'Pausado — a extração continua do próximo vídeo.';
+        }
+    }
+
+    // Track the paused state and switch the pause button between its two labels
+    function setPaused(value) {
+        paused = value;
+        pauseBtn.innerHTML = paused
+            ? '<i class="fas fa-play"></i> Continuar'
+            : '<i class="fas fa-pause"></i> Pausar';
+    }
+
+    // Stop the running extraction, keeping the videos already processed
+    function handleCancel() {
+        extractionClient.cancel();
+        setPaused(false);
+        pauseBtn.disabled = true;
+        cancelBtn.disabled = true;
+        progressStatus.textContent = 'Cancelando...';
+    }
+
+    // Reload the history and the resume banner
+    async function refreshJobs() {
+        if (!jobStore.isSupported()) {
+            return;
+        }
+        
+        try {
+            const jobs = await jobStore.listJobs();
+            pendingJob = jobs.find(job => job.status !== 'done' && job.status !== 'failed') || null;
+            renderResumeBanner();
+            renderHistory(jobs);
+        } catch (error) {
+            console.warn('Could not load saved jobs:', error);
+        }
+    }
+
+    // Show the most recent unfinished job above the form
+    function renderResumeBanner() {
+        resumeBanner.classList.toggle('hidden', !pendingJob);
+        if (pendingJob) {
+            resumeMessage.textContent = `Extração interrompida: ${pendingJob.label} — ${describeJobProgress(pendingJob)}. Deseja retomar de onde parou?`;
+        }
+    }
+
+    // List every past extraction; finished ones can be reopened, interrupted and failed ones resumed
+    function renderHistory(jobs) {
+        historyList.innerHTML = '';
+        historyPanel.classList.toggle('hidden', jobs.length === 0);
+        
+        jobs.forEach(job => {
+            const li = document.createElement('li');
+            
+            const label = document.createElement('span');
+            label.className = 'history-label';
+            label.textContent = job.label;
+            const meta = document.createElement('div');
+            meta.className = 'history-meta';
+            meta.textContent = job.status === 'done'
+                ? `${new Date(job.extractedAt || job.createdAt).toLocaleString()} — ${job.videoCount} vídeos — ${docGenerator.getMethodLabel(job.method)}`
+                : `${new Date(job.createdAt).toLocaleString()} — ${describeJobState(job)}, ${describeJobProgress(job)}`;
+            label.appendChild(meta);
+            li.appendChild(label);
+            
+            if (job.status === 'done') {
+                li.appendChild(createHistoryButton('Abrir', () => openRun(job)));
+            } else {
+                li.appendChild(createHistoryButton('Retomar', () => resumeJob(job)));
+            }
+            li.appendChild(createHistoryButton('Excluir', () => deleteJob(job.id)));
+            
+            historyList.appendChild(li);
+        });
+        
+        renderCompareOptions(jobs.filter(job => job.status === 'done'));
+    }
+
+    // Offer finished runs for comparison, defaulting to the two most recent
+    function renderCompareOptions(runs) {
+        compareRow.classList.toggle('hidden', runs.length < 2);
+        
+        [compareOldSelect, compareNewSelect].forEach(select => {
+            select.innerHTML = '';
+            runs.forEach(run => {
+                const option = document.createElement('option');
+                option.value = run.id;
+                option.textContent = `${run.label} (${new Date(run.extractedAt || run.createdAt).toLocaleDateString()})`;
+                select.appendChild(option);
+            });
+        });
+        
+        if (runs.length >= 2) {
+            compareNewSelect.value = runs[0].id;
+            compareOldSelect.value = runs[1].id;
+        }
+    }
+
+    // Compare the two chosen runs of the same playlist
+    async function handleCompare() {
+        if (compareOldSelect.value === compareNewSelect.value) {
+            showError('Escolha duas extrações diferentes para comparar.');
+            return;
+        }
+        
+        try {
+            let oldRun = await extractor.loadJobResult(compareOldSelect.value);
+            let newRun = await extractor.loadJobResult(compareNewSelect.value);
+            
+            // Always compare the older run against the newer one
+            if (oldRun.extractedAt > newRun.extractedAt) {
+                [oldRun, newRun] = [newRun, oldRun];
+            }
+            
+            if (!SnapshotDiff.isSamePlaylist(oldRun, newRun)) {
+                showError('As extrações escolhidas não são da mesma playlist.');
+                return;
+            }
+            
+            currentDiff = {
+                diff: SnapshotDiff.compare(oldRun, newRun),
+                demo: oldRun.demo || newRun.demo
+            };
+            showComparison();
+        } catch (error) {
+            console.error('Error comparing runs:', error);
+            showError(error.message || 'Não foi possível comparar as extrações.');
+        }
+    }
+
+    // Show the comparison section with one row per video
+    function showComparison() {
+        const { diff } = currentDiff;
+        document.querySelector('.input-section').classList.add('hidden');
+        compareSection.classList.remove('hidden');
+        compareStatus.textContent = '';
+        
+        compareSummary.textContent = `${new Date(diff.oldRun.extractedAt).toLocaleDateString()} → ${new Date(diff.newRun.extractedAt).toLocaleDateString()}: `
+            + `${diff.counts.added} adicionados, ${diff.counts.removed} removidos, `
+            + `${diff.counts.moved} mudaram de posição, ${diff.counts.renamed} mudaram de título. `
+            + `Views: ${formatChange(diff.totals.views)}. Likes: ${formatChange(diff.totals.likes)}.`;
+        
+        compareBody.innerHTML = '';
+        diff.rows.forEach(row => {
+            const tr = document.createElement('tr');
+            
+            const titleCell = document.createElement('td');
+            titleCell.textContent = row.newTitle || row.oldTitle || row.videoId;
+            if (row.renamed) {
+                const oldTitle = document.createElement('small');
+                oldTitle.textContent = `Antes: ${row.oldTitle}`;
+                titleCell.appendChild(oldTitle);
+            }
+            tr.appendChild(titleCell);
+            
+            const statusCell = document.createElement('td');
+            statusCell.textContent = SnapshotDiff.STATUS_LABELS[row.status];
+            tr.appendChild(statusCell);
+            
+            const positionCell = document.createElement('td');
+            positionCell.textContent = row.moved ? `${row.oldPosition} → ${row.newPosition}` : (row.newPosition || row.oldPosition || '');
+            tr.appendChild(positionCell);
+            
+            tr.appendChild(createChangeCell(row.views));
+            tr.appendChild(createChangeCell(row.likes));
+            
+            compareBody.appendChild(tr);
+        });
+    }
+
+    // Table cell with a count and its change, colored by direction
+    function createChangeCell(change) {
+        const cell = document.createElement('td');
+        cell.textContent = formatChange(change);
+        if (change.change > 0) {
+            cell.className = 'change-up';
+        } else if (change.change < 0) {
+            cell.className = 'change-down';
+        }
+        return cell;
+    }
+
+    // Describe a count before and after, with its absolute and percentage change
+    function formatChange(change) {
+        const format = value => (value === null ? '—' : value.toLocaleString());
+        if (change.change === null) {
+            return `${format(change.old)} → ${format(change.new)}`;
+        }
+        
+        const sign = change.change > 0 ? '+' : '';
+        const percent = change.percent === null
+            ? ''
+            : `, ${sign}${(change.percent * 100).toLocaleString(undefined, { maximumFractionDigits: 1 })}%`;
+        return `${format(change.old)} → ${format(change.new)} (${sign}${change.change.toLocaleString()}${percent})`;
+    }
+
+    // Handle the comparison Excel download
+    async function handleDiffDownload() {
+        if (!currentDiff) {
+            return;
+        }
+        
+        try {
+            compareStatus.textContent = 'Gerando planilha de comparação...';
+            const diffData = await extractionClient.generate('generateDiffExcel', currentDiff.diff, { demo: currentDiff.demo });
+            await downloadFile(diffData.blob, diffData.filename);
+            compareStatus.textContent = 'Planilha de comparação baixada com sucesso!';
+        } catch (error) {
+            console.error('Error downloading comparison:', error);
+            compareStatus.textContent = `Erro ao gerar planilha de comparação. ${error.message}`;
+        }
+    }
+
+    // Button shown next to a history entry
+    function createHistoryButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'small-btn';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Show a past run in the results section so it can be exported again offline
+    async function openRun(job) {
+        try {
+            extractedData = await extractor.loadJobResult(job.id);
+            document.querySelector('.input-section').classList.add('hidden');
+            showResults();
+        } catch (error) {
+            console.error('Error opening past run:', error);
+            showError(error.message || 'Não foi possível abrir esta extração.');
+        }
+    }
+
+    // Describe why an unfinished job stopped
+    function describeJobState(job) {
+        return job.status === 'failed'
+            ? `falhou (${job.error || 'erro desconhecido'})`
+            : 'interrompida';
+    }
+
+    // How far an unfinished job got
+    function describeJobProgress(job) {
+        return job.total > 0
+            ? `${job.processed} de ${job.total} vídeos processados`
+            : 'nenhum vídeo processado';
+    }
+
+    // Delete a saved job and its checkpointed videos
+    async function deleteJob(jobId) {
+        try {
+            await jobStore.deleteJob(jobId);
+        } catch (error) {
+            console.warn('Could not delete job:', error);
+        }
+        refreshJobs();
+    }
+
+    // Delete every past extraction after confirmation
+    async function clearHistory() {
+        if (!window.confirm('Apagar todas as extrações salvas neste navegador?')) {
+            return;
+        }
+        
+        try {
+            await jobStore.clear();
+        } catch (error) {
+            console.warn('Could not clear history:', error);
+        }
+        refreshJobs();
     }
 
     // Progress update callback
     function updateProgress(progress) {
         progressBar.style.width = `${progress.progress}%`;
         progressPercentage.textContent = `${progress.progress}%`;
-        progressStatus.textContent = progress.status;
+        
+        // Keep the paused and cancelling notices until the run reacts to them
+        if (!paused && !cancelBtn.disabled) {
+            progressStatus.textContent = progress.status;
+        }
         
         if (progress.total > 0) {
             videosTotal.textContent = progress.total;
@@ -121,19 +671,14 @@ document.addEventListener('DOMContentLoaded', function() {
         if (progress.currentVideo) {
             currentVideoTitle.textContent = progress.currentVideo;
         }
-    }
-
-    // Validate YouTube playlist URL
-    function isValidYouTubePlaylistUrl(url) {
-        const regex = /^(https?:\/\/)?(www\.)?(youtube\.com|youtu\.be)\/.*list=([a-zA-Z0-9_-]+)/;
-        return regex.test(url);
-    }
-
-    // Extract playlist ID from URL
-    function extractPlaylistId(url) {
-        const regex = /list=([a-zA-Z0-9_-]+)/;
-        const match = url.match(regex);
-        return match ? match[1] : null;
+        
+        if (progress.quotaUsed !== undefined) {
+            quotaUsedSpan.textContent = progress.quotaUsed.toLocaleString();
+        }
+        
+        if (progress.eta !== undefined) {
+            etaSpan.textContent = progress.eta === null ? 'calculando...' : formatDuration(progress.eta);
+        }
     }
 
     // Show results section
@@ -141,10 +686,121 @@ document.addEventListener('DOMContentLoaded', function() {
         progressSection.classList.add('hidden');
         resultsSection.classList.remove('hidden');
         
-        // Update stats
-        totalVideosSpan.textContent = extractedData.videos.length;
+        renderStats();
+        renderSourceList();
+        renderFailures();
+        renderFieldStatuses();
+        renderCardPreview();
+    }
+
+    // Show the video count and total time, leaving unavailable videos out unless the user counts them
+    function renderStats() {
+        const counted = countUnavailableInput.checked
+            ? extractedData.videos
+            : extractedData.videos.filter(video => ExportColumns.isAvailable(video));
+        totalVideosSpan.textContent = counted.length;
         totalScreenshotsSpan.textContent = extractedData.screenshots.length;
-        totalTimeSpan.textContent = formatDuration(extractedData.totalDuration);
+        totalTimeSpan.textContent = formatDuration(counted.reduce((total, video) => total + (video.durationSeconds || 0), 0));
+    }
+
+    // Save whether unavailable videos count toward the totals and refresh the stats
+    function handleCountUnavailableChange() {
+        localStorage.setItem('youtube_count_unavailable', String(countUnavailableInput.checked));
+        renderStats();
+        renderFieldStatuses();
+    }
+
+    // List the videos that could not be processed, with the reason for each
+    function renderFailures() {
+        const failures = extractedData.failures || [];
+        failuresPanel.classList.toggle('hidden', failures.length === 0);
+        failuresSummary.textContent = failures.length === 1 ? '1 vídeo com problemas' : `${failures.length} vídeos com problemas`;
+        // Retrying picks the saved job back up, so it needs the job to still be stored
+        retryFailuresBtn.classList.toggle('hidden', !extractedData.jobId);
+        
+        failureList.innerHTML = '';
+        failures.forEach(failure => {
+            const li = document.createElement('li');
+            const position = typeof failure.position === 'number' ? `#${failure.position + 1} — ` : '';
+            li.textContent = `${position}${failure.title || failure.videoId} (${failure.videoId})`;
+            const reason = document.createElement('small');
+            reason.textContent = failure.reason;
+            li.appendChild(reason);
+            failureList.appendChild(li);
+        });
+    }
+
+    // Process again only the videos that failed; the ones already saved in the job are skipped
+    async function handleRetryFailures() {
+        try {
+            const job = await jobStore.getJob(extractedData.jobId);
+            if (!job) {
+                throw new Error('Esta extração não está mais no histórico.');
+            }
+            resultsSection.classList.add('hidden');
+            await resumeJob(job);
+        } catch (error) {
+            console.error('Error retrying failed videos:', error);
+            showError(error.message || 'Não foi possível tentar novamente os vídeos com problemas.');
+        }
+    }
+
+    // Show which fields were extracted, missing or failed for each video
+    function renderFieldStatuses() {
+        const statusLabels = { ok: 'ok', missing: 'ausente', failed: 'falhou' };
+        const fields = YouTubeExtractor.TRACKED_FIELDS;
+        let problemCount = 0;
+        
+        fieldStatusBody.innerHTML = '';
+        extractedData.videos.forEach((video, index) => {
+            const row = document.createElement('tr');
+            const nameCell = document.createElement('td');
+            nameCell.textContent = video.title || video.videoId;
+            nameCell.title = `Vídeo ${index + 1}`;
+            row.appendChild(nameCell);
+            
+            fields.forEach(field => {
+                const status = (video.fieldStatus && video.fieldStatus[field]) || 'missing';
+                // Unavailable videos are reported on their own below, not as missing fields
+                if (status !== 'ok' && ExportColumns.isAvailable(video)) {
+                    problemCount++;
+                }
+                
+                const cell = document.createElement('td');
+                const badge = document.createElement('span');
+                badge.className = `field-status ${status}`;
+                badge.textContent = statusLabels[status];
+                cell.appendChild(badge);
+                row.appendChild(cell);
+            });
+            
+            fieldStatusBody.appendChild(row);
+        });
+        
+        demoBanner.classList.toggle('hidden', !extractedData.demo);
+        partialBanner.classList.toggle('hidden', !extractedData.partial);
+        resultsMessage.textContent = problemCount === 0
+            ? 'Todos os dados foram extraídos com sucesso!'
+            : `${problemCount} campos não puderam ser extraídos. Eles aparecem em branco nas exportações, com o status indicado.`;
+        
+        const unavailableCount = extractedData.videos.filter(video => !ExportColumns.isAvailable(video)).length;
+        if (unavailableCount > 0) {
+            resultsMessage.textContent += ` ${unavailableCount} vídeos estão indisponíveis (removidos, privados ou restritos) e aparecem nas exportações com a disponibilidade indicada`
+                + (countUnavailableInput.checked ? ', incluídos nos totais.' : ', fora dos totais.');
+        }
+    }
+
+    // List each source with its video count when several inputs were given
+    function renderSourceList() {
+        sourceList.innerHTML = '';
+        const groups = extractedData.groups || [];
+        sourceList.classList.toggle('hidden', groups.length < 2);
+        
+        groups.forEach(group => {
+            const li = document.createElement('li');
+            li.textContent = `${group.label} — ${group.videoCount} vídeos`;
+            sourceList.appendChild(li);
+        });
     }
 
     // Show error section
@@ -152,6 +808,7 @@ document.addEventListener('DOMContentLoaded', function() {
         document.querySelector('.input-section').classList.add('hidden');
         progressSection.classList.add('hidden');
         resultsSection.classList.add('hidden');
+        compareSection.classList.add('hidden');
         errorSection.classList.remove('hidden');
         
         errorMessage.textContent = message;
@@ -162,6 +819,7 @@ document.addEventListener('DOMContentLoaded', function() {
         document.querySelector('.input-section').classList.remove('hidden');
         progressSection.classList.add('hidden');
         resultsSection.classList.add('hidden');
+        compareSection.classList.add('hidden');
         errorSection.classList.add('hidden');
         
         // Reset progress
@@ -171,12 +829,16 @@ document.addEventListener('DOMContentLoaded', function() {
         videosProcessed.textContent = '0';
         videosTotal.textContent = '0';
         currentVideoTitle.textContent = 'Aguardando...';
+        etaSpan.textContent = 'calculando...';
+        quotaUsedSpan.textContent = '0';
+        downloadStatus.textContent = '';
         
         // Clear data
         extractedData = {
             videos: [],
             screenshots: [],
-            totalDuration: 0
+            totalDuration: 0,
+            quotaUsed: 0
         };
     }
 
@@ -188,18 +850,37 @@ document.addEventListener('DOMContentLoaded', function() {
         }
         
         try {
-            progressStatus.textContent = 'Gerando planilha Excel...';
+            downloadStatus.textContent = 'Gerando planilha Excel...';
             
             // Generate Excel file
-            const excelData = docGenerator.generateExcel(extractedData.videos);
+            const excelData = await extractionClient.generate('generateExcel', extractedData.videos, getExportSummary());
             
-            // Create download link
-            downloadFile(excelData.blob, excelData.filename);
+            // Save the file
+            await downloadFile(excelData.blob, excelData.filename);
             
-            progressStatus.textContent = 'Planilha Excel baixada com sucesso!';
+            downloadStatus.textContent = excelData.filename.endsWith('.csv')
+                ? 'Não foi possível gerar o Excel; arquivo CSV baixado no lugar.'
+                : 'Planilha Excel baixada com sucesso!';
         } catch (error) {
             console.error('Error downloading Excel:', error);
-            progressStatus.textContent = 'Erro ao gerar planilha Excel.';
+            downloadStatus.textContent = `Erro ao gerar planilha Excel. ${error.message}`;
+        }
+    }
+
+    // Handle CSV download
+    async function handleCsvDownload() {
+        if (extractedData.videos.length === 0) {
+            showError('Nenhum dado disponível para download.');
+            return;
+        }
+        
+        try {
+            const csvData = await extractionClient.generate('generateCSV', extractedData.videos, getExportSummary());
+            await downloadFile(csvData.blob, csvData.filename);
+            downloadStatus.textContent = 'Arquivo CSV baixado com sucesso!';
+        } catch (error) {
+            console.error('Error downloading CSV:', error);
+            downloadStatus.textContent = `Erro ao gerar arquivo CSV. ${error.message}`;
         }
     }
 
@@ -211,31 +892,418 @@ document.addEventListener('DOMContentLoaded', function() {
         }
         
         try {
-            progressStatus.textContent = 'Gerando documento com capturas...';
+            downloadStatus.textContent = 'Gerando documento com capturas...';
             
             // Generate Word document
-            const wordData = await docGenerator.generateWordDocument(extractedData.videos, extractedData.screenshots);
+            const wordData = await extractionClient.generate('generateWordDocument', extractedData.videos, extractedData.screenshots, getExportSummary());
             
-            // Create download link
-            downloadFile(wordData.blob, wordData.filename);
+            // Save the file
+            await downloadFile(wordData.blob, wordData.filename);
             
-            progressStatus.textContent = 'Documento baixado com sucesso!';
+            downloadStatus.textContent = wordData.filename.endsWith('.html')
+                ? 'Não foi possível gerar o Word; relatório HTML baixado no lugar.'
+                : 'Documento baixado com sucesso!';
         } catch (error) {
             console.error('Error downloading Word document:', error);
-            progressStatus.textContent = 'Erro ao gerar documento.';
+            downloadStatus.textContent = `Erro ao gerar documento. ${error.message}`;
+        }
+    }
+
+    // Show the selected columns first, in export order, followed by the rest
+    function applyColumnSelection(ids) {
+        const allIds = ExportColumns.DEFINITIONS.map(column => column.id);
+        columnOrder = [...ids, ...allIds.filter(id => !ids.includes(id))];
+        selectedColumns = new Set(ids);
+        renderColumnList();
+    }
+
+    // Selected column IDs in export order
+    function getSelectedColumnIds() {
+        return columnOrder.filter(id => selectedColumns.has(id));
+    }
+
+    // Render the column list with a checkbox and move buttons per column
+    function renderColumnList() {
+        columnList.innerHTML = '';
+        
+        ExportColumns.resolve(columnOrder).forEach((column, index) => {
+            const li = document.createElement('li');
+            
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = selectedColumns.has(column.id);
+            checkbox.addEventListener('change', () => toggleColumn(column.id, checkbox));
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(column.label));
+            li.appendChild(label);
+            
+            li.appendChild(createMoveButton('↑', 'Mover para cima', index, -1));
+            li.appendChild(createMoveButton('↓', 'Mover para baixo', index, 1));
+            
+            columnList.appendChild(li);
+        });
+    }
+
+    // Button that moves a column up or down the list
+    function createMoveButton(text, title, index, offset) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'small-btn';
+        button.textContent = text;
+        button.title = title;
+        button.disabled = index + offset < 0 || index + offset >= columnOrder.length;
+        button.addEventListener('click', () => {
+            const moved = columnOrder.splice(index, 1)[0];
+            columnOrder.splice(index + offset, 0, moved);
+            saveColumnSelection();
+            renderColumnList();
+        });
+        return button;
+    }
+
+    // Select or deselect a column, always keeping at least one
+    function toggleColumn(id, checkbox) {
+        if (!checkbox.checked && selectedColumns.size === 1) {
+            checkbox.checked = true;
+            return;
+        }
+        
+        if (checkbox.checked) {
+            selectedColumns.add(id);
+        } else {
+            selectedColumns.delete(id);
+        }
+        saveColumnSelection();
+    }
+
+    // Persist the current selection and clear the preset picker
+    function saveColumnSelection() {
+        exportColumns.setSelected(getSelectedColumnIds());
+        columnPresetSelect.value = '';
+    }
+
+    // Fill the preset dropdown with built-in and saved presets
+    function renderPresetOptions() {
+        columnPresetSelect.innerHTML = '';
+        
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Personalizado';
+        columnPresetSelect.appendChild(placeholder);
+        
+        Object.keys(exportColumns.getPresets()).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = exportColumns.isBuiltinPreset(name) ? `${name} (padrão)` : name;
+            columnPresetSelect.appendChild(option);
+        });
+        
+        deletePresetBtn.disabled = true;
+    }
+
+    // Apply the chosen preset
+    function handlePresetChange() {
+        const name = columnPresetSelect.value;
+        deletePresetBtn.disabled = !name || exportColumns.isBuiltinPreset(name);
+        if (!name) {
+            return;
+        }
+        
+        applyColumnSelection(ExportColumns.resolve(exportColumns.getPresets()[name]).map(column => column.id));
+        exportColumns.setSelected(getSelectedColumnIds());
+    }
+
+    // Save the current selection as a named preset
+    function handlePresetSave() {
+        const name = presetNameInput.value.trim();
+        if (!name) {
+            presetNameInput.focus();
+            return;
+        }
+        
+        try {
+            exportColumns.savePreset(name, getSelectedColumnIds());
+            presetNameInput.value = '';
+            renderPresetOptions();
+            columnPresetSelect.value = name;
+            deletePresetBtn.disabled = false;
+        } catch (error) {
+            downloadStatus.textContent = error.message;
+        }
+    }
+
+    // Delete the selected user preset
+    function handlePresetDelete() {
+        const name = columnPresetSelect.value;
+        if (!name || exportColumns.isBuiltinPreset(name)) {
+            return;
         }
+        
+        exportColumns.deletePreset(name);
+        renderPresetOptions();
+    }
+
+    // Fill the font and logo position dropdowns of the card editor
+    function fillCardTemplateOptions() {
+        const choices = {
+            font: CardTemplates.FONTS.map(font => [font, font]),
+            logoPosition: Object.entries(CardTemplates.LOGO_POSITIONS)
+        };
+        cardTemplateControls.forEach(control => {
+            (choices[control.dataset.templateKey] || []).forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                control.appendChild(option);
+            });
+        });
+    }
+
+    // Fill the card template dropdown with built-in and saved templates
+    function renderCardTemplateOptions() {
+        cardTemplatePresetSelect.innerHTML = '';
+        
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Personalizado';
+        cardTemplatePresetSelect.appendChild(placeholder);
+        
+        Object.keys(cardTemplates.getTemplates()).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = cardTemplates.isBuiltinTemplate(name) ? `${name} (padrão)` : name;
+            cardTemplatePresetSelect.appendChild(option);
+        });
+        
+        deleteCardTemplateBtn.disabled = true;
+    }
+
+    // Show the current card template in the editor, its field list and the preview
+    function renderCardTemplateControls() {
+        cardTemplateControls.forEach(control => {
+            const key = control.dataset.templateKey;
+            // The thumbnail height is edited as a percentage of the card height
+            control.value = key === 'thumbnailHeight' ? Math.round(cardTemplate[key] * 100) : cardTemplate[key];
+        });
+        removeCardLogoBtn.disabled = !cardTemplate.logo;
+        renderCardFieldList();
+        renderCardPreview();
+    }
+
+    // Apply a change to the card template, keep it for the next captures and clear the template picker
+    function updateCardTemplate(changes) {
+        cardTemplate = CardTemplates.normalize({ ...cardTemplate, ...changes });
+        saveSelectedCardTemplate();
+        cardTemplatePresetSelect.value = '';
+        deleteCardTemplateBtn.disabled = true;
+        removeCardLogoBtn.disabled = !cardTemplate.logo;
+        renderCardFieldList();
+        renderCardPreview();
+    }
+
+    // Store the current card template; a large logo can exceed the browser's storage
+    function saveSelectedCardTemplate() {
+        try {
+            cardTemplates.setSelected(cardTemplate);
+            cardTemplateStatus.textContent = '';
+        } catch (error) {
+            cardTemplateStatus.textContent = error.message;
+        }
+    }
+
+    // Read an edited size, color, font or logo position into the card template
+    function handleCardTemplateInput(event) {
+        const control = event.target;
+        const key = control.dataset.templateKey;
+        const value = key === 'thumbnailHeight' && control.value !== '' ? control.value / 100 : control.value;
+        updateCardTemplate({ [key]: value });
+    }
+
+    // Read the chosen logo into the card template; it is stored with the template, so its size is limited
+    function handleCardLogoChange() {
+        const file = cardLogoInput.files[0];
+        cardLogoInput.value = '';
+        if (!file) {
+            return;
+        }
+        if (file.size > CardTemplates.MAX_LOGO_BYTES) {
+            cardTemplateStatus.textContent = `O logo deve ter no máximo ${CardTemplates.MAX_LOGO_BYTES / 1024} KB.`;
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.onload = () => updateCardTemplate({ logo: reader.result });
+        reader.onerror = () => {
+            cardTemplateStatus.textContent = 'Não foi possível ler o arquivo do logo.';
+        };
+        reader.readAsDataURL(file);
+    }
+
+    // Render every card field with a checkbox, its highlight and move buttons; shown fields come first, in card order
+    function renderCardFieldList() {
+        cardFieldList.innerHTML = '';
+        
+        const shown = cardTemplate.fields.map(field => field.id);
+        const hidden = CardTemplates.FIELDS.map(field => field.id).filter(id => !shown.includes(id));
+        [...shown, ...hidden].forEach((id, index) => {
+            const definition = CardTemplates.FIELDS.find(field => field.id === id);
+            const field = cardTemplate.fields[index];
+            const li = document.createElement('li');
+            
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !!field;
+            checkbox.addEventListener('change', () => toggleCardField(id, checkbox.checked));
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(definition.label));
+            li.appendChild(label);
+            
+            const highlight = document.createElement('select');
+            highlight.title = 'Destaque';
+            Object.entries(CardTemplates.HIGHLIGHTS).forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                highlight.appendChild(option);
+            });
+            highlight.value = field ? field.highlight : 'none';
+            highlight.disabled = !field;
+            highlight.addEventListener('change', () => {
+                const fields = cardTemplate.fields.slice();
+                fields[index] = { id, highlight: highlight.value };
+                updateCardTemplate({ fields });
+            });
+            li.appendChild(highlight);
+            
+            li.appendChild(createCardFieldMoveButton('↑', 'Mover para cima', index, -1));
+            li.appendChild(createCardFieldMoveButton('↓', 'Mover para baixo', index, 1));
+            
+            cardFieldList.appendChild(li);
+        });
+    }
+
+    // Button that moves a shown card field up or down
+    function createCardFieldMoveButton(text, title, index, offset) {
+        const count = cardTemplate.fields.length;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'small-btn';
+        button.textContent = text;
+        button.title = title;
+        button.disabled = index >= count || index + offset < 0 || index + offset >= count;
+        button.addEventListener('click', () => {
+            const fields = cardTemplate.fields.slice();
+            const moved = fields.splice(index, 1)[0];
+            fields.splice(index + offset, 0, moved);
+            updateCardTemplate({ fields });
+        });
+        return button;
+    }
+
+    // Show or hide a field on the card; newly shown fields go last
+    function toggleCardField(id, shown) {
+        const fields = shown
+            ? [...cardTemplate.fields, { id, highlight: 'none' }]
+            : cardTemplate.fields.filter(field => field.id !== id);
+        updateCardTemplate({ fields });
+    }
+
+    // Draw the card template with the first extracted video, or a demo video before any extraction
+    async function renderCardPreview() {
+        const render = ++previewRender;
+        const demoId = extractor.getDemoVideoIds()[0];
+        const video = extractedData.videos.find(candidate => ExportColumns.isAvailable(candidate))
+            || { videoId: demoId, ...extractor.getDemoVideoData(demoId) };
+        
+        const [thumbnail, logo] = await Promise.all([
+            loadPreviewImage(`https://img.youtube.com/vi/${video.videoId}/hqdefault.jpg`),
+            loadPreviewImage(cardTemplate.logo)
+        ]);
+        // A later change already started its own preview
+        if (render !== previewRender) {
+            return;
+        }
+        
+        cardPreview.width = cardTemplate.width;
+        cardPreview.height = cardTemplate.height;
+        CardTemplates.draw(cardPreview.getContext('2d'), cardTemplate, video, { thumbnail, logo });
+    }
+
+    // Decode a preview image once; images that cannot be loaded are drawn as placeholders or left out
+    function loadPreviewImage(url) {
+        if (!url) {
+            return Promise.resolve(null);
+        }
+        if (!previewImages.has(url)) {
+            previewImages.set(url, extractor.loadImage(url).catch(() => null));
+        }
+        return previewImages.get(url);
+    }
+
+    // Apply the chosen card template
+    function handleCardTemplateChange() {
+        const name = cardTemplatePresetSelect.value;
+        deleteCardTemplateBtn.disabled = !name || cardTemplates.isBuiltinTemplate(name);
+        if (!name) {
+            return;
+        }
+        
+        cardTemplate = CardTemplates.normalize(cardTemplates.getTemplates()[name]);
+        saveSelectedCardTemplate();
+        renderCardTemplateControls();
+    }
+
+    // Save the current card template under a name
+    function handleCardTemplateSave() {
+        const name = cardTemplateNameInput.value.trim();
+        if (!name) {
+            cardTemplateNameInput.focus();
+            return;
+        }
+        
+        try {
+            cardTemplates.saveTemplate(name, cardTemplate);
+            cardTemplateNameInput.value = '';
+            renderCardTemplateOptions();
+            cardTemplatePresetSelect.value = name;
+            deleteCardTemplateBtn.disabled = false;
+            cardTemplateStatus.textContent = '';
+        } catch (error) {
+            cardTemplateStatus.textContent = error.message;
+        }
+    }
+
+    // Delete the selected user card template
+    function handleCardTemplateDelete() {
+        const name = cardTemplatePresetSelect.value;
+        if (!name || cardTemplates.isBuiltinTemplate(name)) {
+            return;
+        }
+        
+        cardTemplates.deleteTemplate(name);
+        renderCardTemplateOptions();
+    }
+
+    // Run details passed along to every exporter
+    function getExportSummary() {
+        return {
+            columns: getSelectedColumnIds(),
+            quotaUsed: extractedData.quotaUsed,
+            groups: extractedData.groups,
+            demo: extractedData.demo,
+            partial: extractedData.partial,
+            failures: extractedData.failures,
+            countUnavailable: countUnavailableInput.checked,
+            method: extractedData.method,
+            extractedAt: extractedData.extractedAt
+        };
     }
 
     // Helper function to download a file
-    function downloadFile(blob, filename) {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    async function downloadFile(blob, filename) {
+        await docGenerator.saveFile(blob, filename);
     }
 
     // Helper function to format duration in seconds to HH:MM:SS
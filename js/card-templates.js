@@ -0,0 +1,340 @@
+// File: js/card-templates.js
+
+// Evidence card templates: the layout drawn for each video when no real page capture is available,
+// with built-in templates and the ones users save, kept next to the rest of their settings
+class CardTemplates {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+    }
+
+    // Every value a card can show, formatted the way the exports show it
+    static get FIELDS() {
+        return [
+            { id: 'url', label: 'URL', text: video => `https://www.youtube.com/watch?v=${video.videoId}` },
+            { id: 'views', label: 'Views', text: video => CardTemplates.formatNumber(video.views) },
+            { id: 'likes', label: 'Likes', text: video => CardTemplates.formatNumber(video.likes) },
+            { id: 'comments', label: 'Comentários', text: video => CardTemplates.formatNumber(video.commentCount) },
+            { id: 'publishedDate', label: 'Data de publicação', text: video => (video.publishedDate ? LocaleParser.toDate(video.publishedDate).toLocaleDateString() : null) },
+            { id: 'duration', label: 'Duração', text: video => video.duration || null },
+            { id: 'channel', label: 'Canal', text: video => video.channelTitle || null },
+            { id: 'category', label: 'Categoria', text: video => video.categoryName || null },
+            { id: 'availability', label: 'Disponibilidade', text: video => ExportColumns.describeAvailability(video) },
+            { id: 'videoId', label: 'ID do vídeo', text: video => video.videoId }
+        ];
+    }
+
+    // Ways a field can be highlighted on the card
+    static get HIGHLIGHTS() {
+        return {
+            color: 'Texto colorido',
+            marker: 'Marca-texto',
+            box: 'Moldura',
+            none: 'Sem destaque'
+        };
+    }
+
+    // Fonts every browser can draw without loading anything
+    static get FONTS() {
+        return ['Arial', 'Verdana', 'Georgia', 'Times New Roman', 'Courier New'];
+    }
+
+    // Corners the logo can sit in, over the thumbnail
+    static get LOGO_POSITIONS() {
+        return {
+            'top-right': 'Canto superior direito',
+            'top-left': 'Canto superior esquerdo'
+        };
+    }
+
+    // Largest logo file accepted; it is stored in localStorage with the template
+    static get MAX_LOGO_BYTES() {
+        return 300 * 1024;
+    }
+
+    // Layout used when nothing was configured: thumbnail on top, title and red values below
+    static get DEFAULT_TEMPLATE() {
+        return {
+            width: 1280,
+            height: 720,
+            background: '#ffffff',
+            panelColor: '#f9f9f9',
+            thumbnailHeight: 0.6,
+            margin: 20,
+            font: 'Arial',
+            titleSize: 24,
+            titleColor: '#000000',
+            textSize: 18,
+            textColor: '#000000',
+            highlightColor: '#ff0000',
+            logo: null,
+            logoPosition: 'top-right',
+            logoHeight: 80,
+            fields: [
+                { id: 'url', highlight: 'color' },
+                { id: 'views', highlight: 'color' },
+                { id: 'likes', highlight: 'color' },
+                { id: 'publishedDate', highlight: 'color' }
+            ]
+        };
+    }
+
+    // Templates that ship with the app and cannot be deleted
+    static get BUILTIN_TEMPLATES() {
+        return {
+            'Padrão': CardTemplates.DEFAULT_TEMPLATE,
+            // A4 at 150 dpi, to print or attach to reports
+            'Retrato A4': {
+                ...CardTemplates.DEFAULT_TEMPLATE,
+                width: 1240,
+                height: 1754,
+                background: '#ffffff',
+                panelColor: '#ffffff',
+                thumbnailHeight: 0.4,
+                margin: 60,
+                font: 'Georgia',
+                titleSize: 44,
+                titleColor: '#202124',
+                textSize: 30,
+                textColor: '#202124',
+                highlightColor: '#ffd54f',
+                fields: [
+                    { id: 'url', highlight: 'none' },
+                    { id: 'channel', highlight: 'none' },
+                    { id: 'publishedDate', highlight: 'marker' },
+                    { id: 'duration', highlight: 'none' },
+                    { id: 'views', highlight: 'marker' },
+                    { id: 'likes', highlight: 'marker' },
+                    { id: 'comments', highlight: 'none' },
+                    { id: 'availability', highlight: 'none' }
+                ]
+            },
+            'Escuro': {
+                ...CardTemplates.DEFAULT_TEMPLATE,
+                background: '#0f0f0f',
+                panelColor: '#181818',
+                font: 'Verdana',
+                titleColor: '#ffffff',
+                textColor: '#e0e0e0',
+                highlightColor: '#3ea6ff',
+                fields: [
+                    { id: 'url', highlight: 'none' },
+                    { id: 'views', highlight: 'box' },
+                    { id: 'likes', highlight: 'box' },
+                    { id: 'publishedDate', highlight: 'box' }
+                ]
+            }
+        };
+    }
+
+    // Complete a template with the defaults and keep every value in a range that can be drawn
+    static normalize(template) {
+        const defaults = CardTemplates.DEFAULT_TEMPLATE;
+        const source = template && typeof template === 'object' ? template : {};
+        const number = (key, min, max) => {
+            const value = Number(source[key]);
+            return isFinite(value) && source[key] !== null && source[key] !== '' ? Math.min(max, Math.max(min, value)) : defaults[key];
+        };
+        const color = key => (/^#[0-9a-f]{6}$/i.test(source[key]) ? source[key] : defaults[key]);
+        const fieldIds = CardTemplates.FIELDS.map(field => field.id);
+        const fields = Array.isArray(source.fields) ? source.fields : defaults.fields;
+
+        return {
+            width: Math.round(number('width', 320, 4000)),
+            height: Math.round(number('height', 240, 6000)),
+            background: color('background'),
+            panelColor: color('panelColor'),
+            thumbnailHeight: number('thumbnailHeight', 0, 0.9),
+            margin: Math.round(number('margin', 0, 400)),
+            font: CardTemplates.FONTS.includes(source.font) ? source.font : defaults.font,
+            titleSize: Math.round(number('titleSize', 8, 200)),
+            titleColor: color('titleColor'),
+            textSize: Math.round(number('textSize', 8, 200)),
+            textColor: color('textColor'),
+            highlightColor: color('highlightColor'),
+            logo: typeof source.logo === 'string' && source.logo.startsWith('data:image/') ? source.logo : null,
+            logoPosition: CardTemplates.LOGO_POSITIONS[source.logoPosition] ? source.logoPosition : defaults.logoPosition,
+            logoHeight: Math.round(number('logoHeight', 16, 1000)),
+            fields: fields
+                .filter((field, index) => field && fieldIds.includes(field.id) && fields.findIndex(other => other && other.id === field.id) === index)
+                .map(field => ({ id: field.id, highlight: CardTemplates.HIGHLIGHTS[field.highlight] ? field.highlight : 'none' }))
+        };
+    }
+
+    // Built-in templates followed by the ones the user saved
+    getTemplates() {
+        return { ...CardTemplates.BUILTIN_TEMPLATES, ...this.getUserTemplates() };
+    }
+
+    // Templates saved by the user
+    getUserTemplates() {
+        const saved = this.readJson('youtube_card_templates');
+        return saved && typeof saved === 'object' ? saved : {};
+    }
+
+    // Check whether a template ships with the app
+    isBuiltinTemplate(name) {
+        return Object.prototype.hasOwnProperty.call(CardTemplates.BUILTIN_TEMPLATES, name);
+    }
+
+    // Save a template under a name
+    saveTemplate(name, template) {
+        if (this.isBuiltinTemplate(name)) {
+            throw new Error(`O modelo "${name}" é padrão e não pode ser substituído.`);
+        }
+        const templates = this.getUserTemplates();
+        templates[name] = CardTemplates.normalize(template);
+        this.writeJson('youtube_card_templates', templates);
+    }
+
+    // Delete a template saved by the user
+    deleteTemplate(name) {
+        const templates = this.getUserTemplates();
+        delete templates[name];
+        this.writeJson('youtube_card_templates', templates);
+    }
+
+    // Template currently used for new captures
+    getSelected() {
+        return CardTemplates.normalize(this.readJson('youtube_card_template'));
+    }
+
+    // Save the template used for new captures
+    setSelected(template) {
+        this.writeJson('youtube_card_template', CardTemplates.normalize(template));
+    }
+
+    // Read a JSON value from storage, ignoring corrupt entries
+    readJson(key) {
+        try {
+            return JSON.parse(this.storage.getItem(key));
+        } catch (error) {
+            console.warn(`Ignoring invalid ${key} in storage:`, error);
+            return null;
+        }
+    }
+
+    // Write a JSON value to storage; a logo can push it over the browser's storage limit
+    writeJson(key, value) {
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            throw new Error('Não há espaço para salvar o modelo no navegador. Use um logo menor.');
+        }
+    }
+
+    // Text a card shows for a field; values that were not extracted say so instead of being left out
+    static getFieldText(video, id) {
+        const field = CardTemplates.FIELDS.find(definition => definition.id === id);
+        const text = field ? field.text(video) : null;
+        return text === null || text === undefined ? 'não disponível' : text;
+    }
+
+    // Format a count as the exports do
+    static formatNumber(value) {
+        return value !== null && value !== undefined ? value.toLocaleString() : null;
+    }
+
+    // Draw a video's card on a canvas context sized to the template; images are the decoded thumbnail and logo
+    static draw(ctx, template, video, images = {}) {
+        const { width, height, margin } = template;
+        const thumbnailHeight = Math.round(height * template.thumbnailHeight);
+
+        ctx.fillStyle = template.background;
+        ctx.fillRect(0, 0, width, height);
+
+        if (thumbnailHeight > 0) {
+            CardTemplates.drawThumbnail(ctx, template, images.thumbnail, width, thumbnailHeight);
+        }
+
+        ctx.fillStyle = template.panelColor;
+        ctx.fillRect(0, thumbnailHeight, width, height - thumbnailHeight);
+
+        if (images.logo) {
+            CardTemplates.drawLogo(ctx, template, images.logo);
+        }
+
+        // Title, wrapped to the card width
+        ctx.fillStyle = template.titleColor;
+        ctx.font = `bold ${template.titleSize}px ${template.font}`;
+        const titleLineHeight = Math.round(template.titleSize * 1.25);
+        let y = CardTemplates.wrapText(ctx, video.title || video.videoId, margin, thumbnailHeight + margin + template.titleSize, width - margin * 2, titleLineHeight);
+
+        // Fields in the template's order, one per line
+        const lineHeight = Math.round(template.textSize * 1.65);
+        ctx.font = `${template.textSize}px ${template.font}`;
+        y += titleLineHeight;
+        template.fields.forEach(field => {
+            const definition = CardTemplates.FIELDS.find(candidate => candidate.id === field.id);
+            y += lineHeight;
+            CardTemplates.drawField(ctx, template, `${definition.label}: ${CardTemplates.getFieldText(video, field.id)}`, margin, y, field.highlight);
+        });
+    }
+
+    // Fill the thumbnail area, cropping the image to cover it without stretching
+    static drawThumbnail(ctx, template, image, width, height) {
+        if (!image) {
+            // If all thumbnails fail, use a placeholder
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(0, 0, width, height);
+            ctx.fillStyle = '#ffffff';
+            ctx.font = `24px ${template.font}`;
+            ctx.fillText('Thumbnail não disponível', template.margin, template.margin + 30);
+            return;
+        }
+
+        const scale = Math.max(width / image.width, height / image.height);
+        const sourceWidth = width / scale;
+        const sourceHeight = height / scale;
+        ctx.drawImage(image, (image.width - sourceWidth) / 2, (image.height - sourceHeight) / 2, sourceWidth, sourceHeight, 0, 0, width, height);
+    }
+
+    // Draw the logo in its corner at the template's height, keeping its proportions
+    static drawLogo(ctx, template, logo) {
+        const height = template.logoHeight;
+        const width = Math.round(logo.width * height / logo.height);
+        const x = template.logoPosition === 'top-left' ? template.margin : template.width - template.margin - width;
+        ctx.drawImage(logo, x, template.margin, width, height);
+    }
+
+    // Draw one field line with its highlight
+    static drawField(ctx, template, text, x, y, highlight) {
+        const padding = Math.round(template.textSize / 4);
+        const textWidth = ctx.measureText(text).width;
+
+        if (highlight === 'marker') {
+            ctx.save();
+            ctx.globalAlpha = 0.45;
+            ctx.fillStyle = template.highlightColor;
+            ctx.fillRect(x - padding, y - template.textSize, textWidth + padding * 2, template.textSize + padding * 2);
+            ctx.restore();
+        } else if (highlight === 'box') {
+            ctx.strokeStyle = template.highlightColor;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x - padding, y - template.textSize, textWidth + padding * 2, template.textSize + padding * 2);
+        }
+
+        ctx.fillStyle = highlight === 'color' ? template.highlightColor : template.textColor;
+        ctx.fillText(text, x, y);
+    }
+
+    // Draw text wrapped at word boundaries and return the baseline of its last line
+    static wrapText(ctx, text, x, y, maxWidth, lineHeight) {
+        const words = text.split(' ');
+        let line = '';
+        let lineY = y;
+
+        words.forEach((word, index) => {
+            const testLine = line + word + ' ';
+            if (ctx.measureText(testLine).width > maxWidth && index > 0) {
+                ctx.fillText(line, x, lineY);
+                line = word + ' ';
+                lineY += lineHeight;
+            } else {
+                line = testLine;
+            }
+        });
+
+        ctx.fillText(line, x, lineY);
+        return lineY;
+    }
+}
@@ -6,37 +6,60 @@ class DocumentGenerator {
     this.xlsx = null;
     this.docx = null;
     this.fileSaver = null;
-    this.loadLibraries();
+    this.ready = this.loadLibraries();
   }
 
-  // Load required libraries
+  // Libraries bundled in js/vendor (copied from node_modules by `npm run vendor`);
+  // files are only saved from the page, so the worker skips FileSaver
+  static get LIBRARIES() {
+    return {
+      xlsx: { name: 'SheetJS', global: 'XLSX', src: 'js/vendor/xlsx.full.min.js' },
+      docx: { name: 'docx', global: 'docx', src: 'js/vendor/docx.umd.js' },
+      fileSaver: { name: 'FileSaver', global: 'saveAs', src: 'js/vendor/FileSaver.min.js', pageOnly: true }
+    };
+  }
+
+  // Load required libraries from the local vendor folder
   async loadLibraries() {
-    try {
-      // Load SheetJS (xlsx) for Excel generation
-      if (!window.XLSX) {
-        await this.loadScript('https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js');
-      }
-      this.xlsx = window.XLSX;
+    const libraries = DocumentGenerator.LIBRARIES;
 
-      // Load docx.js for Word document generation
-      if (!window.docx) {
-        await this.loadScript('js/docx.min.js');
+    // Load each library independently so one missing file does not block the others;
+    // globals are looked up on self so this also works inside the extraction worker
+    await Promise.all(Object.keys(libraries).map(async key => {
+      const library = libraries[key];
+      if (library.pageOnly && typeof document === 'undefined') {
+        return;
       }
-      this.docx = window.docx;
-
-      // Load FileSaver for saving files
-      if (!window.saveAs) {
-        await this.loadScript('https://cdn.jsdelivr.net/npm/file-saver@2.0.5/dist/FileSaver.min.js');
+      try {
+        if (!self[library.global]) {
+          await this.loadScript(library.src);
+        }
+        this[key] = self[library.global] || null;
+      } catch (error) {
+        console.error(`Error loading ${library.name}:`, error);
       }
-      this.fileSaver = window.saveAs;
+    }));
+  }
 
-      console.log('Libraries loaded successfully');
-    } catch (error) {
-      console.error('Error loading libraries:', error);
+  // Wait for loading to finish and fail clearly if a library is unavailable
+  async requireLibrary(key) {
+    await this.ready;
+
+    if (!this[key]) {
+      const library = DocumentGenerator.LIBRARIES[key];
+      throw new Error(`A biblioteca ${library.name} não foi carregada (${library.src}). Verifique se o arquivo está presente e recarregue a página.`);
     }
+
+    return this[key];
+  }
+
+  // Save a generated file with FileSaver
+  async saveFile(blob, filename) {
+    const saveAs = await this.requireLibrary('fileSaver');
+    saveAs(blob, filename);
   }
 
-  // Helper to load external scripts
+  // Helper to load scripts
   loadScript(src) {
     return new Promise((resolve, reject) => {
       const script = document.createElement('script');
@@ -48,143 +71,719 @@ class DocumentGenerator {
   }
 
   // Generate Excel file from video data
-  generateExcel(videos) {
+  async generateExcel(videos, summary = {}) {
     if (!videos || videos.length === 0) {
       throw new Error('Nenhum dado disponível para gerar a planilha.');
     }
 
+    await this.requireLibrary('xlsx');
+
     try {
-      if (this.xlsx) {
-        const data = videos.map(video => ({
-          'Nome do Episodio': video.title,
-          'Duração': video.duration,
-          'Views': video.views,
-          'Likes': video.likes,
-          'Link': `https://www.youtube.com/watch?v=${video.videoId}`,
-          'Data de Publicacao': new Date(video.publishedDate).toLocaleDateString()
-        }));
+      const wb = this.xlsx.utils.book_new();
+      const usedNames = ['resumo'];
+      const frozenRows = [];
 
-        const ws = this.xlsx.utils.json_to_sheet(data);
-        const wb = this.xlsx.utils.book_new();
-        this.xlsx.utils.book_append_sheet(wb, ws, 'Playlist');
+      // Summary sheet first
+      this.xlsx.utils.book_append_sheet(wb, this.buildSummarySheet(videos, summary), 'Resumo');
+      frozenRows.push(0);
 
-        const excelBuffer = this.xlsx.write(wb, { bookType: 'xlsx', type: 'array' });
-        const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+      // One data sheet per source when several inputs were given
+      this.groupVideos(videos, summary.groups).forEach(group => {
+        const { ws, headerRows } = this.buildVideoSheet(group.videos, summary);
+        this.xlsx.utils.book_append_sheet(wb, ws, this.getSheetName(group.label, usedNames));
+        frozenRows.push(headerRows);
+      });
 
-        return {
-          blob,
-          filename: 'playlist_data.xlsx'
-        };
-      } else {
-        return this.generateCSV(videos);
+      // Videos that could not be processed are listed last, with the reason
+      if (summary.failures && summary.failures.length > 0) {
+        this.xlsx.utils.book_append_sheet(wb, this.buildFailureSheet(summary.failures), this.getSheetName('Erros', usedNames));
+        frozenRows.push(1);
       }
+
+      const excelBuffer = this.freezeHeaderRows(
+        this.xlsx.write(wb, { bookType: 'xlsx', type: 'array' }),
+        frozenRows
+      );
+      const blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+
+      return {
+        blob,
+        filename: this.getFilename('playlist_data.xlsx', summary)
+      };
     } catch (error) {
       console.error('Error generating Excel:', error);
-      return this.generateCSV(videos);
+      return this.generateCSV(videos, summary);
+    }
+  }
+
+  // Build the "Resumo" sheet with playlist identification and totals
+  buildSummarySheet(videos, summary) {
+    const counted = this.getCountedVideos(videos, summary);
+    const totals = this.getTotals(counted);
+    const rows = [];
+
+    if (summary.demo) {
+      rows.push([DocumentGenerator.DEMO_WATERMARK]);
+    }
+    rows.push(['Resumo da Extração']);
+    if (summary.partial) {
+      rows.push(['Situação', DocumentGenerator.PARTIAL_NOTICE]);
+    }
+
+    (summary.groups || []).forEach(group => {
+      rows.push(['Playlist', group.label]);
+      rows.push(['ID da playlist', group.playlistId || group.id]);
+    });
+
+    rows.push(
+      ['Vídeos', counted.length],
+      ['Duração total', this.durationCell(totals.durationSeconds)],
+      ['Total de views', totals.views],
+      ['Média de views', this.averageCell(totals.views, totals.viewsCount)],
+      ['Total de likes', totals.likes],
+      ['Média de likes', this.averageCell(totals.likes, totals.likesCount)],
+      ['Data da extração', this.dateCell(summary.extractedAt ? new Date(summary.extractedAt) : new Date(), 'dd/mm/yyyy hh:mm:ss')],
+      ['Método de extração', this.getMethodLabel(summary.method)]
+    );
+
+    const unavailable = videos.length - videos.filter(video => ExportColumns.isAvailable(video)).length;
+    if (unavailable > 0) {
+      rows.push(['Vídeos indisponíveis', `${unavailable} (${summary.countUnavailable ? 'incluídos' : 'não incluídos'} nos totais)`]);
+    }
+
+    if (summary.failures && summary.failures.length > 0) {
+      rows.push(['Vídeos com problemas', `${summary.failures.length} (ver aba Erros)`]);
+    }
+
+    if (summary.quotaUsed !== undefined) {
+      rows.push(...this.getQuotaRows(summary.quotaUsed));
+    }
+
+    const ws = this.xlsx.utils.aoa_to_sheet(rows);
+    ws['!cols'] = [{ wch: 28 }, { wch: 60 }];
+    return ws;
+  }
+
+  // Build the "Erros" sheet with the videos that could not be processed
+  buildFailureSheet(failures) {
+    const rows = [['Posição', 'ID do Vídeo', 'Título', 'Link', 'Motivo']];
+    failures.forEach(failure => {
+      const link = `https://www.youtube.com/watch?v=${failure.videoId}`;
+      rows.push([
+        typeof failure.position === 'number' ? failure.position + 1 : null,
+        failure.videoId,
+        failure.title || null,
+        { t: 's', v: link, l: { Target: link } },
+        failure.reason
+      ]);
+    });
+
+    const ws = this.xlsx.utils.aoa_to_sheet(rows);
+    ws['!autofilter'] = { ref: this.xlsx.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: failures.length, c: 4 } }) };
+    ws['!cols'] = [10, 14, 50, 45, 60].map(wch => ({ wch }));
+    return ws;
+  }
+
+  // Build a data sheet with typed cells, hyperlinks, a totals row and an autofilter
+  buildVideoSheet(videos, summary) {
+    const columns = this.getColumns(summary);
+    const rows = [];
+
+    // Demo sheets carry the watermark on their first row
+    if (summary.demo) {
+      rows.push([DocumentGenerator.DEMO_WATERMARK]);
+    }
+    rows.push(columns.map(column => column.label));
+    const headerRows = rows.length;
+
+    // Unavailable videos left out of the totals get their own block below the totals row
+    const counted = this.getCountedVideos(videos, summary);
+    const excluded = videos.filter(video => !counted.includes(video));
+    const toRow = video => columns.map(column => this.toExcelCell(column, this.getColumnValue(column, video)));
+
+    counted.forEach(video => rows.push(toRow(video)));
+
+    const firstDataRow = headerRows + 1;
+    const lastDataRow = headerRows + counted.length;
+
+    // Totals row follows visible (filtered) rows thanks to SUBTOTAL
+    rows.push(columns.map((column, index) => {
+      if (index === 0) {
+        return excluded.length > 0 ? 'Total (sem indisponíveis)' : 'Total';
+      }
+      if (!column.summable) {
+        return null;
+      }
+
+      const letter = this.xlsx.utils.encode_col(index);
+      const total = counted.reduce((sum, video) => sum + (this.getColumnValue(column, video) || 0), 0);
+      return {
+        t: 'n',
+        v: column.type === 'duration' ? total / 86400 : total,
+        f: `SUBTOTAL(109,${letter}${firstDataRow}:${letter}${lastDataRow})`,
+        z: column.type === 'duration' ? '[h]:mm:ss' : '#,##0'
+      };
+    }));
+
+    if (excluded.length > 0) {
+      rows.push([]);
+      rows.push(['Vídeos indisponíveis (não incluídos no total)']);
+      excluded.forEach(video => rows.push(toRow(video)));
+    }
+
+    const ws = this.xlsx.utils.aoa_to_sheet(rows);
+    ws['!autofilter'] = {
+      ref: this.xlsx.utils.encode_range({ s: { r: headerRows - 1, c: 0 }, e: { r: lastDataRow - 1, c: columns.length - 1 } })
+    };
+    ws['!cols'] = columns.map(column => ({ wch: column.width }));
+
+    return { ws, headerRows };
+  }
+
+  // Export columns chosen for this run
+  getColumns(summary) {
+    return ExportColumns.resolve(summary.columns);
+  }
+
+  // Value of a column for a video, null when it was not extracted
+  getColumnValue(column, video) {
+    if (column.type === 'status') {
+      return this.describeFieldStatus(video);
+    }
+    const value = column.value(video);
+    return this.isPresent(value) && value !== '' ? value : null;
+  }
+
+  // Typed Excel cell for a column value
+  toExcelCell(column, value) {
+    if (value === null) {
+      return null;
+    }
+
+    switch (column.type) {
+      case 'duration':
+        return this.durationCell(value);
+      case 'date':
+        return this.dateCell(LocaleParser.toDate(value), 'dd/mm/yyyy');
+      case 'link':
+        return { t: 's', v: value, l: { Target: value, Tooltip: 'Abrir no YouTube' } };
+      case 'number':
+        return { t: 'n', v: value, z: '#,##0' };
+      case 'boolean':
+        return value ? 'Sim' : 'Não';
+      default:
+        return String(value);
+    }
+  }
+
+  // Column value as text for CSV files and reports
+  toDisplayText(column, value, localized = true) {
+    if (value === null) {
+      return '';
+    }
+
+    switch (column.type) {
+      case 'duration':
+        return this.formatDurationText(value);
+      case 'date':
+        return this.formatDate(value);
+      case 'number':
+        return localized ? value.toLocaleString() : String(value);
+      case 'boolean':
+        return value ? 'Sim' : 'Não';
+      default:
+        return String(value);
+    }
+  }
+
+  // Format seconds as M:SS, or H:MM:SS from one hour up
+  formatDurationText(seconds) {
+    return seconds >= 3600 ? this.formatSeconds(seconds) : this.formatSeconds(seconds).replace(/^0:0?/, '');
+  }
+
+  // Freeze the first rows of each sheet; SheetJS community edition does not write panes itself
+  freezeHeaderRows(buffer, frozenRows) {
+    const CFB = this.xlsx.CFB;
+    const zip = CFB.read(new Uint8Array(buffer), { type: 'array' });
+
+    frozenRows.forEach((rowCount, index) => {
+      if (!rowCount) {
+        return;
+      }
+
+      const entry = CFB.find(zip, `/xl/worksheets/sheet${index + 1}.xml`);
+      if (!entry) {
+        return;
+      }
+
+      const xml = new TextDecoder().decode(entry.content);
+      const pane = `<pane ySplit="${rowCount}" topLeftCell="A${rowCount + 1}" activePane="bottomLeft" state="frozen"/>`;
+      entry.content = new TextEncoder().encode(
+        xml.replace(/<sheetView ([^>]*?)\/>/, `<sheetView $1>${pane}</sheetView>`)
+      );
+    });
+
+    return CFB.write(zip, { fileType: 'zip', type: 'array', compression: true });
+  }
+
+  // Duration in seconds as an Excel time value
+  durationCell(seconds) {
+    return { t: 'n', v: seconds / 86400, z: '[h]:mm:ss' };
+  }
+
+  // Local date and time as an Excel date serial
+  dateCell(date, format) {
+    const serial = (date.getTime() - date.getTimezoneOffset() * 60000) / 86400000 + 25569;
+    return { t: 'n', v: serial, z: format };
+  }
+
+  // Average rounded to whole units, blank when nothing was extracted
+  averageCell(total, count) {
+    return count > 0 ? { t: 'n', v: Math.round(total / count), z: '#,##0' } : null;
+  }
+
+  // Check whether an extracted value is present
+  isPresent(value) {
+    return value !== null && value !== undefined;
+  }
+
+  // Readable name of the extraction method
+  getMethodLabel(method) {
+    return YouTubeExtractor.METHOD_LABELS[method] || 'Não informado';
+  }
+
+  // Watermark written into every export produced in demo mode
+  static get DEMO_WATERMARK() {
+    return 'DEMONSTRAÇÃO — DADOS FICTÍCIOS, NÃO USAR COMO COMPROVAÇÃO';
+  }
+
+  // Notice carried by exports of a run that was cancelled before the end
+  static get PARTIAL_NOTICE() {
+    return 'PARCIAL — extração cancelada antes de processar todos os vídeos';
+  }
+
+  // Prefix demo and partial exports so they are never mistaken for complete, real evidence
+  getFilename(filename, summary) {
+    return `${summary.demo ? 'DEMO_' : ''}${summary.partial ? 'PARCIAL_' : ''}${filename}`;
+  }
+
+  // Format an ISO date or timestamp for display, leaving missing dates blank
+  formatDate(isoDate) {
+    return isoDate ? LocaleParser.toDate(isoDate).toLocaleDateString() : '';
+  }
+
+  // Summarize which fields could not be extracted for a video
+  describeFieldStatus(video) {
+    const fieldLabels = {
+      title: 'Título',
+      duration: 'Duração',
+      views: 'Views',
+      likes: 'Likes',
+      publishedDate: 'Data de publicação'
+    };
+    const statusLabels = { missing: 'ausente', failed: 'falhou' };
+    const fieldStatus = video.fieldStatus || {};
+
+    const problems = Object.keys(fieldLabels)
+      .filter(field => fieldStatus[field] && fieldStatus[field] !== 'ok')
+      .map(field => `${fieldLabels[field]}: ${statusLabels[fieldStatus[field]]}`);
+
+    return problems.length > 0 ? problems.join('; ') : 'ok';
+  }
+
+  // Split videos by source; a single source keeps every video in one group
+  groupVideos(videos, groups) {
+    if (!groups || groups.length < 2) {
+      return [{ label: 'Playlist', videos }];
+    }
+
+    return groups.map((group, index) => ({
+      label: group.label,
+      videos: videos.filter(video => video.sourceIndex === index)
+    }));
+  }
+
+  // Build a unique sheet name within Excel's 31 character limit
+  getSheetName(label, usedNames) {
+    const base = (label || 'Playlist').replace(/[\[\]:*?\/\\]/g, ' ').trim().slice(0, 28) || 'Playlist';
+    let name = base;
+    let counter = 2;
+    while (usedNames.includes(name.toLowerCase())) {
+      name = `${base} ${counter++}`;
+    }
+    usedNames.push(name.toLowerCase());
+    return name;
+  }
+
+  // Rows describing how much of the daily API quota a run used
+  getQuotaRows(quotaUsed) {
+    const dailyQuota = YouTubeExtractor.DAILY_QUOTA;
+    return [
+      ['Unidades de cota utilizadas', quotaUsed],
+      ['Cota diária', dailyQuota],
+      ['Percentual da cota diária', { t: 'n', v: quotaUsed / dailyQuota, z: '0.00%' }]
+    ];
+  }
+
+  // Generate an Excel file with the comparison between two runs of the same playlist
+  async generateDiffExcel(diff, summary = {}) {
+    await this.requireLibrary('xlsx');
+
+    const rows = [];
+    if (summary.demo) {
+      rows.push([DocumentGenerator.DEMO_WATERMARK]);
     }
+    rows.push([
+      'Situação', 'ID do Vídeo', 'Link', 'Título anterior', 'Título atual', 'Posição anterior', 'Posição atual',
+      'Views anteriores', 'Views atuais', 'Variação de views', 'Variação de views (%)',
+      'Likes anteriores', 'Likes atuais', 'Variação de likes', 'Variação de likes (%)'
+    ]);
+    const headerRows = rows.length;
+
+    diff.rows.forEach(row => {
+      const link = `https://www.youtube.com/watch?v=${row.videoId}`;
+      const notes = [row.renamed ? 'título alterado' : null, row.moved ? 'posição alterada' : null].filter(note => note);
+      rows.push([
+        SnapshotDiff.STATUS_LABELS[row.status] + (notes.length > 0 ? ` (${notes.join(', ')})` : ''),
+        row.videoId,
+        { t: 's', v: link, l: { Target: link } },
+        row.oldTitle,
+        row.newTitle,
+        row.oldPosition,
+        row.newPosition,
+        ...this.getChangeCells(row.views),
+        ...this.getChangeCells(row.likes)
+      ]);
+    });
+
+    rows.push([
+      'Total', null, null, null, null, null, null,
+      ...this.getChangeCells(diff.totals.views),
+      ...this.getChangeCells(diff.totals.likes)
+    ]);
+    rows.push([]);
+    rows.push(['Extração anterior', this.formatDateTime(diff.oldRun.extractedAt), `${diff.oldRun.videoCount} vídeos`]);
+    rows.push(['Extração atual', this.formatDateTime(diff.newRun.extractedAt), `${diff.newRun.videoCount} vídeos`]);
+    rows.push(['Adicionados', diff.counts.added]);
+    rows.push(['Removidos', diff.counts.removed]);
+    rows.push(['Posição alterada', diff.counts.moved]);
+    rows.push(['Título alterado', diff.counts.renamed]);
+
+    const ws = this.xlsx.utils.aoa_to_sheet(rows);
+    ws['!autofilter'] = {
+      ref: this.xlsx.utils.encode_range({ s: { r: headerRows - 1, c: 0 }, e: { r: headerRows + diff.rows.length - 1, c: 14 } })
+    };
+    ws['!cols'] = [24, 14, 45, 40, 40, 10, 10, 14, 14, 14, 12, 12, 12, 12, 12].map(wch => ({ wch }));
+
+    const wb = this.xlsx.utils.book_new();
+    this.xlsx.utils.book_append_sheet(wb, ws, 'Comparação');
+    const excelBuffer = this.freezeHeaderRows(this.xlsx.write(wb, { bookType: 'xlsx', type: 'array' }), [headerRows]);
+
+    return {
+      blob: new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+      filename: this.getFilename('comparacao_playlist.xlsx', summary)
+    };
+  }
+
+  // Previous value, current value, absolute and percentage change as Excel cells
+  getChangeCells(change) {
+    const count = value => (this.isPresent(value) ? { t: 'n', v: value, z: '#,##0' } : null);
+    return [
+      count(change.old),
+      count(change.new),
+      this.isPresent(change.change) ? { t: 'n', v: change.change, z: '+#,##0;-#,##0;0' } : null,
+      this.isPresent(change.percent) ? { t: 'n', v: change.percent, z: '+0.0%;-0.0%;0.0%' } : null
+    ];
+  }
+
+  // Format an ISO date and time for display, leaving missing dates blank
+  formatDateTime(isoDate) {
+    return isoDate ? new Date(isoDate).toLocaleString() : '';
   }
 
   // Fallback: Generate CSV file
-  generateCSV(videos) {
-    let csv = 'Nome do Episodio,Duração,Views,Likes,Link,Data de Publicacao\n';
+  generateCSV(videos, summary = {}) {
+    const columns = this.getColumns(summary);
+    const escape = text => (/[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+    let csv = summary.demo ? `"${DocumentGenerator.DEMO_WATERMARK}"\n` : '';
+    csv += summary.partial ? `"${DocumentGenerator.PARTIAL_NOTICE}"\n` : '';
+    csv += columns.map(column => escape(column.label)).join(',') + '\n';
     videos.forEach(video => {
-      const row = [
-        `"${video.title.replace(/"/g, '""')}"`,
-        video.duration,
-        video.views,
-        video.likes,
-        `"https://www.youtube.com/watch?v=${video.videoId}"`,
-        new Date(video.publishedDate).toLocaleDateString()
-      ];
+      const row = columns.map(column => escape(this.toDisplayText(column, this.getColumnValue(column, video), false)));
       csv += row.join(',') + '\n';
     });
 
     const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
     return {
       blob,
-      filename: 'playlist_data.csv'
+      filename: this.getFilename('playlist_data.csv', summary)
     };
   }
 
   // Generate Word document (DOCX format)
-  async generateWordDocument(videos, screenshots) {
+  async generateWordDocument(videos, screenshots, summary = {}) {
     if (!videos || videos.length === 0 || !screenshots || screenshots.length === 0) {
       throw new Error('Nenhum dado disponível para gerar o documento.');
     }
 
+    await this.requireLibrary('docx');
+
     try {
-      if (!this.docx) {
-        console.warn('DOCX library not loaded, falling back to HTML');
-        return this.generateHtmlDocument(videos, screenshots);
-      }
       const {
         Document,
+        Packer,
         Paragraph,
         TextRun,
         ImageRun,
+        ExternalHyperlink,
         Table,
         TableRow,
         TableCell,
-        BorderStyle,
+        WidthType,
         AlignmentType,
         HeadingLevel
       } = this.docx;
-      
-      const doc = new Document({
-        creator: 'YouTube Playlist Extractor',
-        title: 'Comprovação de Dados - Playlist YouTube',
-        description: 'Documento de comprovação de dados extraídos de uma playlist do YouTube',
-        styles: { /* ...styles omitted for brevity...*/ }
-      });
-      
-      doc.addSection({
+
+      const sections = [{
         properties: {},
-        children: [
-          new Paragraph({
-            text: 'Comprovação de Dados - Playlist YouTube',
-            heading: HeadingLevel.HEADING_1,
-            alignment: AlignmentType.CENTER
-          })
-        ]
-      });
+        children: this.buildCoverPage(videos, screenshots, summary)
+      }];
+
+      const multipleSources = summary.groups && summary.groups.length > 1;
 
       for (let i = 0; i < videos.length; i++) {
         const video = videos[i];
-        const screenshot = screenshots[i];
-        
-        let imageData;
-        try {
-          imageData = await this.getImageDataFromUrl(screenshot.imageUrl);
-        } catch (e) {
-          console.warn('Failed to fetch image', e);
-        }
-        
+        const screenshot = screenshots.find(item => item && item.videoId === video.videoId);
         const videoSection = [];
+
+        // Open each source with its own heading
+        if (multipleSources && (i === 0 || videos[i - 1].sourceIndex !== video.sourceIndex)) {
+          videoSection.push(
+            new Paragraph({
+              text: summary.groups[video.sourceIndex].label,
+              heading: HeadingLevel.HEADING_1
+            })
+          );
+        }
+
         videoSection.push(
           new Paragraph({
-            text: `Vídeo ${i + 1}: ${video.title}`,
+            text: `Vídeo ${i + 1}: ${video.title || video.videoId}${summary.demo ? ' (DEMONSTRAÇÃO)' : ''}`,
             heading: HeadingLevel.HEADING_2
           })
         );
-        // ... build tables and images ...
-        
-        doc.addSection({ properties: {}, children: videoSection });
+
+        // Metadata table: label on the left, value on the right
+        const rows = this.getVideoMetadataRows(video, screenshot, summary).map(([label, value, isLink]) => new TableRow({
+          children: [
+            new TableCell({
+              width: { size: 30, type: WidthType.PERCENTAGE },
+              children: [new Paragraph({ children: [new TextRun({ text: label, bold: true })] })]
+            }),
+            new TableCell({
+              width: { size: 70, type: WidthType.PERCENTAGE },
+              children: [
+                isLink && value
+                  ? new Paragraph({
+                    children: [
+                      new ExternalHyperlink({
+                        link: value,
+                        children: [new TextRun({ text: value, style: 'Hyperlink' })]
+                      })
+                    ]
+                  })
+                  : new Paragraph({ text: String(value) })
+              ]
+            })
+          ]
+        }));
+
+        videoSection.push(new Table({
+          width: { size: 100, type: WidthType.PERCENTAGE },
+          rows
+        }));
+
+        // Embedded screenshot, scaled to the page width
+        let imageData = null;
+        if (screenshot) {
+          try {
+            imageData = await this.getImageBytes(screenshot.imageUrl);
+          } catch (e) {
+            console.warn('Failed to fetch image', e);
+          }
+        }
+
+        if (imageData) {
+          const size = this.getPngSize(imageData) || { width: 1280, height: 720 };
+          const width = 600;
+          videoSection.push(
+            new Paragraph({ text: '' }),
+            new Paragraph({
+              alignment: AlignmentType.CENTER,
+              children: [
+                new ImageRun({
+                  type: 'png',
+                  data: imageData,
+                  transformation: {
+                    width,
+                    height: Math.round(width * size.height / size.width)
+                  }
+                })
+              ]
+            })
+          );
+        } else {
+          videoSection.push(new Paragraph({
+            children: [new TextRun({ text: 'Captura de tela não disponível.', italics: true })]
+          }));
+        }
+
+        sections.push({ properties: {}, children: videoSection });
       }
 
+      const doc = new Document({
+        creator: 'YouTube Playlist Extractor',
+        title: summary.demo ? `DEMONSTRAÇÃO - ${this.getReportTitle()}` : this.getReportTitle(),
+        description: 'Documento de comprovação de dados extraídos de uma playlist do YouTube',
+        sections
+      });
+
       // Generate DOCX file
-      const buffer = await this.docx.Packer.toBuffer(doc);
-      const blob = new Blob(
-        [buffer],
-        { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }
-      );
+      const blob = await Packer.toBlob(doc);
       return {
         blob,
-        filename: 'comprovacao_videos.docx'
+        filename: this.getFilename('comprovacao_videos.docx', summary)
       };
     } catch (error) {
       console.error('Error generating DOCX:', error);
-      return this.generateHtmlDocument(videos, screenshots);
+      return this.generateHtmlDocument(videos, screenshots, summary);
+    }
+  }
+
+  // Title shared by every evidence report
+  getReportTitle() {
+    return 'Comprovação de Dados - Playlist YouTube';
+  }
+
+  // Cover page: playlist identification, extraction time and totals
+  buildCoverPage(videos, screenshots, summary) {
+    const { Paragraph, TextRun, AlignmentType, HeadingLevel } = this.docx;
+    const children = [
+      new Paragraph({
+        text: this.getReportTitle(),
+        heading: HeadingLevel.TITLE,
+        alignment: AlignmentType.CENTER
+      })
+    ];
+
+    if (summary.demo) {
+      children.push(new Paragraph({
+        text: DocumentGenerator.DEMO_WATERMARK,
+        heading: HeadingLevel.HEADING_2,
+        alignment: AlignmentType.CENTER
+      }));
+    }
+
+    this.getCoverLines(videos, screenshots, summary).forEach(([label, value]) => {
+      children.push(new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: [
+          new TextRun({ text: `${label}: `, bold: true }),
+          new TextRun({ text: String(value) })
+        ]
+      }));
+    });
+
+    return children;
+  }
+
+  // Label/value lines shown on the report cover
+  getCoverLines(videos, screenshots, summary) {
+    const counted = this.getCountedVideos(videos, summary);
+    const totals = this.getTotals(counted);
+    const lines = [];
+    if (summary.partial) {
+      lines.push(['Situação', DocumentGenerator.PARTIAL_NOTICE]);
+    }
+    (summary.groups || []).forEach(group => {
+      lines.push(['Playlist', group.label]);
+      lines.push(['ID', group.playlistId || group.id]);
+    });
+    lines.push(
+      ['Data da extração', summary.extractedAt ? new Date(summary.extractedAt).toLocaleString() : new Date().toLocaleString()],
+      ['Total de vídeos', videos.length],
+      ['Vídeos considerados nos totais', counted.length],
+      ['Capturas de tela', screenshots.length],
+      ['Duração total', this.formatSeconds(totals.durationSeconds)],
+      ['Total de views', totals.views.toLocaleString()],
+      ['Total de likes', totals.likes.toLocaleString()]
+    );
+    if (summary.quotaUsed !== undefined) {
+      lines.push(['Cota da API utilizada', `${summary.quotaUsed} de ${YouTubeExtractor.DAILY_QUOTA} unidades`]);
     }
+
+    return lines;
+  }
+
+  // Rows of the per-video metadata table: configured columns plus the capture time
+  getVideoMetadataRows(video, screenshot, summary = {}) {
+    const rows = this.getColumns(summary).map(column => [
+      column.label,
+      this.toDisplayText(column, this.getColumnValue(column, video)),
+      column.type === 'link'
+    ]);
+    rows.push(['Data da captura', screenshot && screenshot.capturedAt ? new Date(screenshot.capturedAt).toLocaleString() : '', false]);
+    return rows;
+  }
+
+  // Videos that count toward the summary totals; removed, private and restricted ones only when the user asked.
+  // The data sheets keep every row, and their SUBTOTAL row follows whatever the user filters
+  getCountedVideos(videos, summary) {
+    return summary.countUnavailable ? videos : videos.filter(video => ExportColumns.isAvailable(video));
+  }
+
+  // Sum duration, views and likes, skipping values that were not extracted
+  getTotals(videos) {
+    return videos.reduce((totals, video) => ({
+      durationSeconds: totals.durationSeconds + (video.durationSeconds || 0),
+      views: totals.views + (video.views || 0),
+      viewsCount: totals.viewsCount + (this.isPresent(video.views) ? 1 : 0),
+      likes: totals.likes + (video.likes || 0),
+      likesCount: totals.likesCount + (this.isPresent(video.likes) ? 1 : 0)
+    }), { durationSeconds: 0, views: 0, viewsCount: 0, likes: 0, likesCount: 0 });
+  }
+
+  // Format seconds as H:MM:SS
+  formatSeconds(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+
+  // Get PNG bytes for an image, decoding data URLs directly
+  async getImageBytes(url) {
+    const dataUrl = url.startsWith('data:') ? url : await this.getImageDataFromUrl(url);
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  // Read width and height from a PNG header
+  getPngSize(bytes) {
+    if (bytes.length < 24 || bytes[1] !== 0x50 || bytes[2] !== 0x4E || bytes[3] !== 0x47) {
+      return null;
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return {
+      width: view.getUint32(16),
+      height: view.getUint32(20)
+    };
   }
 
   // Helper function to get image data from URL
@@ -206,8 +805,123 @@ class DocumentGenerator {
     });
   }
 
-  // Fallback: Generate HTML document
-  generateHtmlDocument(videos, screenshots) {
-    // ... existing HTML generation logic ...
+  // Fallback: Generate a self-contained HTML report with inlined screenshots
+  async generateHtmlDocument(videos, screenshots, summary = {}) {
+    const title = this.getReportTitle();
+    const multipleSources = summary.groups && summary.groups.length > 1;
+
+    const coverRows = this.getCoverLines(videos, screenshots, summary)
+      .map(([label, value]) => `<tr><th>${this.escapeHtml(label)}</th><td>${this.escapeHtml(value)}</td></tr>`)
+      .join('\n');
+
+    const tocItems = [];
+    const videoBlocks = [];
+
+    for (let i = 0; i < videos.length; i++) {
+      const video = videos[i];
+      const screenshot = screenshots.find(item => item && item.videoId === video.videoId);
+      const anchor = `video-${i + 1}`;
+      const heading = `Vídeo ${i + 1}: ${video.title || video.videoId}${summary.demo ? ' (DEMONSTRAÇÃO)' : ''}`;
+
+      // Open each source with its own heading
+      if (multipleSources && (i === 0 || videos[i - 1].sourceIndex !== video.sourceIndex)) {
+        const groupLabel = summary.groups[video.sourceIndex].label;
+        tocItems.push(`<li class="toc-group">${this.escapeHtml(groupLabel)}</li>`);
+        videoBlocks.push(`<h2 class="group-heading">${this.escapeHtml(groupLabel)}</h2>`);
+      }
+
+      tocItems.push(`<li><a href="#${anchor}">${this.escapeHtml(heading)}</a></li>`);
+
+      const rows = this.getVideoMetadataRows(video, screenshot, summary).map(([label, value, isLink]) => {
+        const cell = isLink && value
+          ? `<a href="${this.escapeHtml(value)}">${this.escapeHtml(value)}</a>`
+          : this.escapeHtml(value);
+        return `<tr><th>${this.escapeHtml(label)}</th><td>${cell}</td></tr>`;
+      }).join('\n');
+
+      // Inline the screenshot so the report works offline
+      let image = '<p class="no-image">Captura de tela não disponível.</p>';
+      if (screenshot) {
+        let src = screenshot.imageUrl;
+        if (!src.startsWith('data:')) {
+          try {
+            src = await this.getImageDataFromUrl(src);
+          } catch (e) {
+            console.warn('Failed to inline image', e);
+          }
+        }
+        image = `<img src="${this.escapeHtml(src)}" alt="${this.escapeHtml(heading)}">`;
+      }
+
+      videoBlocks.push(`<section class="video" id="${anchor}">
+<h3>${this.escapeHtml(heading)}</h3>
+<table class="metadata">
+${rows}
+</table>
+<figure>${image}</figure>
+</section>`);
+    }
+
+    const html = `<!DOCTYPE html>
+<html lang="pt-br">
+<head>
+<meta charset="UTF-8">
+<title>${this.escapeHtml(summary.demo ? `DEMONSTRAÇÃO - ${title}` : title)}</title>
+<style>
+body { font-family: 'Segoe UI', Arial, sans-serif; color: #202124; max-width: 960px; margin: 0 auto; padding: 2rem 1rem; line-height: 1.5; }
+h1 { text-align: center; }
+.demo { background: #fbbc05; font-weight: bold; text-align: center; padding: 0.8rem; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; }
+th, td { border: 1px solid #dadce0; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f1f3f4; width: 30%; }
+.cover table { max-width: 640px; margin: 1.5rem auto; }
+.toc li.toc-group { font-weight: bold; list-style: none; margin-top: 0.5rem; }
+.video { margin-top: 2rem; }
+figure { margin: 0; text-align: center; }
+figure img { max-width: 100%; border: 1px solid #dadce0; }
+.no-image { font-style: italic; }
+@media print {
+  body { max-width: none; padding: 0; }
+  .toc { page-break-after: always; }
+  .cover { page-break-after: always; }
+  .video { page-break-before: always; page-break-inside: avoid; }
+  a { color: inherit; text-decoration: none; }
+  figure img { max-height: 60vh; }
+}
+</style>
+</head>
+<body>
+<section class="cover">
+<h1>${this.escapeHtml(title)}</h1>
+${summary.demo ? `<p class="demo">${this.escapeHtml(DocumentGenerator.DEMO_WATERMARK)}</p>` : ''}
+<table>
+${coverRows}
+</table>
+</section>
+<nav class="toc">
+<h2>Sumário</h2>
+<ol>
+${tocItems.join('\n')}
+</ol>
+</nav>
+${videoBlocks.join('\n')}
+</body>
+</html>`;
+
+    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+    return {
+      blob,
+      filename: this.getFilename('comprovacao_videos.html', summary)
+    };
+  }
+
+  // Escape text for safe insertion into HTML
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
   }
 }
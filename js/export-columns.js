@@ -0,0 +1,156 @@
+// File: js/export-columns.js
+
+// Export column definitions and user presets shared by the XLSX, CSV and Word exports
+class ExportColumns {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+    }
+
+    // Every column a user can pick; type drives how each exporter renders the value
+    static get DEFINITIONS() {
+        return [
+            { id: 'title', label: 'Nome do Episodio', type: 'text', width: 50, value: video => video.title },
+            { id: 'duration', label: 'Duração', type: 'duration', width: 10, summable: true, value: video => video.durationSeconds },
+            { id: 'views', label: 'Views', type: 'number', width: 14, summable: true, value: video => video.views },
+            { id: 'likes', label: 'Likes', type: 'number', width: 12, summable: true, value: video => video.likes },
+            { id: 'comments', label: 'Comentários', type: 'number', width: 12, summable: true, value: video => video.commentCount },
+            { id: 'link', label: 'Link', type: 'link', width: 45, value: video => `https://www.youtube.com/watch?v=${video.videoId}` },
+            { id: 'publishedDate', label: 'Data de Publicacao', type: 'date', width: 18, value: video => video.publishedDate },
+            { id: 'channel', label: 'Canal', type: 'text', width: 30, value: video => video.channelTitle },
+            { id: 'description', label: 'Descrição', type: 'text', width: 60, value: video => video.description },
+            { id: 'tags', label: 'Tags', type: 'text', width: 40, value: video => (video.tags ? video.tags.join(', ') : null) },
+            { id: 'thumbnail', label: 'Thumbnail', type: 'link', width: 45, value: video => video.thumbnailUrl },
+            { id: 'thumbnails', label: 'Todas as Thumbnails', type: 'text', width: 60, value: video => (video.thumbnails ? Object.keys(video.thumbnails).map(size => `${size}: ${video.thumbnails[size]}`).join(' | ') : null) },
+            { id: 'channelId', label: 'ID do Canal', type: 'text', width: 26, value: video => video.channelId },
+            { id: 'category', label: 'Categoria', type: 'text', width: 20, value: video => video.categoryName || video.categoryId },
+            { id: 'favorites', label: 'Favoritos', type: 'number', width: 10, summable: true, value: video => video.favoriteCount },
+            { id: 'definition', label: 'Definição', type: 'text', width: 10, value: video => video.definition },
+            { id: 'captions', label: 'Legendas', type: 'boolean', width: 10, value: video => video.hasCaptions },
+            { id: 'licensedContent', label: 'Conteúdo Licenciado', type: 'boolean', width: 12, value: video => video.licensedContent },
+            { id: 'language', label: 'Idioma', type: 'text', width: 10, value: video => video.defaultLanguage },
+            { id: 'liveBroadcast', label: 'Transmissão ao Vivo', type: 'text', width: 16, value: video => ExportColumns.describeLiveBroadcast(video) },
+            { id: 'liveStart', label: 'Início da Transmissão', type: 'date', width: 18, value: video => (video.liveStreaming ? video.liveStreaming.actualStartTime || video.liveStreaming.scheduledStartTime : null) },
+            { id: 'availability', label: 'Disponibilidade', type: 'text', width: 18, value: video => ExportColumns.describeAvailability(video) },
+            { id: 'position', label: 'Posição na Playlist', type: 'number', width: 10, value: video => (typeof video.position === 'number' ? video.position + 1 : null) },
+            { id: 'videoId', label: 'ID do Vídeo', type: 'text', width: 14, value: video => video.videoId },
+            { id: 'extractionMethod', label: 'Método de Extração', type: 'text', width: 22, value: video => (video.extractionMethod ? YouTubeExtractor.METHOD_LABELS[video.extractionMethod] : null) },
+            { id: 'fieldStatus', label: 'Status dos Campos', type: 'status', width: 40, value: () => null }
+        ];
+    }
+
+    // Readable live-broadcast state of a video
+    static describeLiveBroadcast(video) {
+        if (video.liveBroadcastContent === 'live') {
+            return 'Ao vivo';
+        }
+        if (video.liveBroadcastContent === 'upcoming') {
+            return 'Agendada';
+        }
+        if (video.liveStreaming) {
+            return 'Transmitido ao vivo';
+        }
+        return video.liveBroadcastContent ? 'Não' : null;
+    }
+
+    // Readable label for each availability status of a playlist entry
+    static get AVAILABILITY_LABELS() {
+        return {
+            available: 'Disponível',
+            deleted: 'Removido',
+            private: 'Privado',
+            regionBlocked: 'Bloqueado na região',
+            membersOnly: 'Somente membros',
+            ageRestricted: 'Restrição de idade',
+            unavailable: 'Indisponível'
+        };
+    }
+
+    // Readable availability of a video; older runs did not record it
+    static describeAvailability(video) {
+        return video.availability ? ExportColumns.AVAILABILITY_LABELS[video.availability] : null;
+    }
+
+    // Check whether a video was available when extracted; unknown counts as available
+    static isAvailable(video) {
+        return !video.availability || video.availability === 'available';
+    }
+
+    // Column set used when nothing was configured
+    static get DEFAULT_COLUMNS() {
+        return ['title', 'duration', 'views', 'likes', 'link', 'publishedDate', 'availability', 'fieldStatus'];
+    }
+
+    // Presets that ship with the app and cannot be deleted
+    static get BUILTIN_PRESETS() {
+        return {
+            'Padrão': ExportColumns.DEFAULT_COLUMNS,
+            'Completo': ExportColumns.DEFINITIONS.map(column => column.id),
+            'Patrocinadores': ['position', 'title', 'channel', 'views', 'likes', 'comments', 'publishedDate', 'link']
+        };
+    }
+
+    // Look up definitions for a list of column IDs, keeping their order
+    static resolve(ids) {
+        const definitions = ExportColumns.DEFINITIONS;
+        const resolved = (ids || ExportColumns.DEFAULT_COLUMNS)
+            .map(id => definitions.find(column => column.id === id))
+            .filter(column => column);
+        return resolved.length > 0 ? resolved : ExportColumns.resolve(ExportColumns.DEFAULT_COLUMNS);
+    }
+
+    // Column IDs currently selected for export
+    getSelected() {
+        const saved = this.readJson('youtube_export_columns');
+        return Array.isArray(saved) && saved.length > 0
+            ? ExportColumns.resolve(saved).map(column => column.id)
+            : ExportColumns.DEFAULT_COLUMNS.slice();
+    }
+
+    // Save the selected column IDs
+    setSelected(ids) {
+        this.storage.setItem('youtube_export_columns', JSON.stringify(ids));
+    }
+
+    // Built-in presets followed by the ones the user saved
+    getPresets() {
+        return { ...ExportColumns.BUILTIN_PRESETS, ...this.getUserPresets() };
+    }
+
+    // Presets saved by the user
+    getUserPresets() {
+        const saved = this.readJson('youtube_column_presets');
+        return saved && typeof saved === 'object' ? saved : {};
+    }
+
+    // Check whether a preset ships with the app
+    isBuiltinPreset(name) {
+        return Object.prototype.hasOwnProperty.call(ExportColumns.BUILTIN_PRESETS, name);
+    }
+
+    // Save the given columns under a preset name
+    savePreset(name, ids) {
+        if (this.isBuiltinPreset(name)) {
+            throw new Error(`O preset "${name}" é padrão e não pode ser substituído.`);
+        }
+        const presets = this.getUserPresets();
+        presets[name] = ids;
+        this.storage.setItem('youtube_column_presets', JSON.stringify(presets));
+    }
+
+    // Delete a preset saved by the user
+    deletePreset(name) {
+        const presets = this.getUserPresets();
+        delete presets[name];
+        this.storage.setItem('youtube_column_presets', JSON.stringify(presets));
+    }
+
+    // Read a JSON value from storage, ignoring corrupt entries
+    readJson(key) {
+        try {
+            return JSON.parse(this.storage.getItem(key));
+        } catch (error) {
+            console.warn(`Ignoring invalid ${key} in storage:`, error);
+            return null;
+        }
+    }
+}
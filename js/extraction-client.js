@@ -0,0 +1,169 @@
+// File: js/extraction-client.js
+
+// Page-side client for the extraction worker; runs in the page when a worker cannot be used
+class ExtractionClient {
+    constructor(extractor, docGenerator, workerUrl = 'js/extraction-worker.js') {
+        this.extractor = extractor;
+        this.docGenerator = docGenerator;
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.workerBlocked = false;
+        this.requests = new Map();
+        this.nextId = 1;
+    }
+
+    // Check whether the browser can run the worker, including drawing screenshots off the page
+    isSupported() {
+        return !this.workerBlocked && typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+    }
+
+    // Check whether a run is in progress in the worker
+    isRunning() {
+        return this.requests.size > 0;
+    }
+
+    // Extract sources using the extractor's current settings, resolving with the same result as processSources
+    async processSources(sources, onProgress, resumeJob = null) {
+        const settings = {
+            apiKey: this.extractor.apiKey,
+            batchRequests: this.extractor.batchRequests,
+            demoMode: this.extractor.demoMode,
+            concurrency: this.extractor.concurrency,
+            forceRefresh: this.extractor.forceRefresh,
+            scrapingProxy: this.extractor.scrapingProxy,
+            helperUrl: this.extractor.helperUrl,
+            helperScreenshots: this.extractor.helperScreenshots,
+            cardTemplate: this.extractor.cardTemplate
+        };
+
+        if (!this.isSupported()) {
+            return this.extractor.processSources(sources, onProgress, resumeJob);
+        }
+
+        try {
+            return await this.request({ type: 'extract', sources, settings, resumeJob }, onProgress);
+        } catch (error) {
+            if (error.code !== 'WORKER_FAILED') {
+                throw error;
+            }
+
+            // Finish in the page, picking up whatever the worker already checkpointed
+            console.warn('Continuing extraction on the page:', error);
+            const job = error.jobId && this.extractor.jobStore ? await this.extractor.jobStore.getJob(error.jobId) : resumeJob;
+            return this.extractor.processSources(sources, onProgress, job || resumeJob);
+        }
+    }
+
+    // Generate an export in the worker with one of the document generator's methods
+    async generate(method, ...args) {
+        if (!this.isSupported()) {
+            return this.docGenerator[method](...args);
+        }
+
+        try {
+            return await this.request({ type: 'generate', method, args });
+        } catch (error) {
+            if (error.code !== 'WORKER_FAILED') {
+                throw error;
+            }
+            console.warn('Generating the export on the page:', error);
+            return this.docGenerator[method](...args);
+        }
+    }
+
+    // Cancel the running extraction; it resolves with the videos processed so far, marked as partial
+    cancel() {
+        this.control('cancel');
+    }
+
+    // Pause the running extraction before its next video
+    pause() {
+        this.control('pause');
+    }
+
+    // Continue a paused extraction
+    resume() {
+        this.control('resume');
+    }
+
+    // Forward a cancel, pause or resume to wherever the extraction is running
+    control(action) {
+        if (this.worker && this.isRunning()) {
+            this.worker.postMessage({ type: 'control', action });
+        } else {
+            this.extractor[action]();
+        }
+    }
+
+    // Send a message to the worker and wait for its result, forwarding progress updates
+    request(message, onProgress) {
+        const worker = this.getWorker();
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject, onProgress });
+            worker.postMessage({ ...message, id });
+        });
+    }
+
+    // Start the worker on first use
+    getWorker() {
+        if (!this.worker) {
+            try {
+                this.worker = new Worker(this.workerUrl);
+            } catch (constructError) {
+                // The browser refused to start the worker (a SecurityError on file:// pages); the page takes over for good
+                console.error('Extraction worker could not be started:', constructError);
+                this.workerBlocked = true;
+                const error = new Error('O processamento em segundo plano não está disponível.');
+                error.code = 'WORKER_FAILED';
+                throw error;
+            }
+            this.worker.addEventListener('message', event => this.handleMessage(event.data));
+            this.worker.addEventListener('error', event => {
+                // The worker script itself failed (missing file, blocked origin); the page takes over
+                event.preventDefault();
+                console.error('Extraction worker failed:', event.message);
+                this.worker.terminate();
+                this.worker = null;
+                this.rejectAll('O processamento em segundo plano falhou.', 'WORKER_FAILED');
+            });
+        }
+        return this.worker;
+    }
+
+    // Route a worker message to the request it belongs to
+    handleMessage(data) {
+        const request = this.requests.get(data.id);
+        if (!request) {
+            return;
+        }
+
+        if (data.type === 'progress') {
+            if (request.onProgress) {
+                request.onProgress(data.progress);
+            }
+            return;
+        }
+
+        this.requests.delete(data.id);
+        if (data.type === 'result') {
+            request.resolve(data.result);
+        } else {
+            const error = new Error(data.message);
+            error.code = data.code;
+            error.jobId = data.jobId;
+            request.reject(error);
+        }
+    }
+
+    // Fail every pending request with the same error
+    rejectAll(message, code) {
+        this.requests.forEach(request => {
+            const error = new Error(message);
+            error.code = code;
+            request.reject(error);
+        });
+        this.requests.clear();
+    }
+}
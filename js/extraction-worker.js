@@ -0,0 +1,80 @@
+// File: js/extraction-worker.js
+
+// Dedicated worker that runs extraction and document generation off the main thread.
+// Messages in:  { id, type: 'extract', sources, settings, resumeJob }
+//               { id, type: 'generate', method, args }
+//               { type: 'control', action } where action is cancel, pause or resume
+// Messages out: { id, type: 'progress', progress } with the same shape progressCallback receives
+//               { id, type: 'result', result }
+//               { id, type: 'error', message, code, jobId }
+importScripts(
+    'vendor/xlsx.full.min.js',
+    'vendor/docx.umd.js',
+    'input-resolver.js',
+    'export-columns.js',
+    'card-templates.js',
+    'job-store.js',
+    'locale-parser.js',
+    'page-scraper.js',
+    'response-cache.js',
+    'snapshot-diff.js',
+    'youtube-extractor.js',
+    'document-generator.js'
+);
+
+const extractor = new YouTubeExtractor();
+extractor.setJobStore(new JobStore());
+extractor.setResponseCache(new ResponseCache());
+const docGenerator = new DocumentGenerator();
+
+// Document generator methods the page may call
+const GENERATORS = ['generateExcel', 'generateCSV', 'generateWordDocument', 'generateDiffExcel'];
+
+// Controls for the running extraction
+const CONTROLS = ['cancel', 'pause', 'resume'];
+
+self.addEventListener('message', async event => {
+    const { id, type } = event.data;
+    
+    // Controls act on the extraction in progress and get no reply
+    if (type === 'control') {
+        if (CONTROLS.includes(event.data.action)) {
+            extractor[event.data.action]();
+        }
+        return;
+    }
+    
+    try {
+        let result;
+        if (type === 'extract') {
+            result = await extract(event.data);
+        } else if (type === 'generate' && GENERATORS.includes(event.data.method)) {
+            result = await docGenerator[event.data.method](...event.data.args);
+        } else {
+            throw new Error(`Mensagem desconhecida para o worker: ${type}`);
+        }
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message, code: error.code || null, jobId: error.jobId || null });
+    }
+});
+
+// Run an extraction with the page's settings, forwarding every progress update
+async function extract({ id, sources, settings, resumeJob }) {
+    extractor.setApiKey(settings.apiKey);
+    extractor.setBatchRequests(settings.batchRequests);
+    extractor.setDemoMode(settings.demoMode);
+    extractor.setConcurrency(settings.concurrency);
+    extractor.setForceRefresh(settings.forceRefresh);
+    extractor.setScrapingProxy(settings.scrapingProxy);
+    extractor.setHelper(settings.helperUrl, settings.helperScreenshots);
+    extractor.setCardTemplate(settings.cardTemplate);
+    
+    try {
+        return await extractor.processSources(sources, progress => self.postMessage({ id, type: 'progress', progress }), resumeJob);
+    } catch (error) {
+        // Lets the page pick up the checkpointed job if it has to finish the run itself
+        error.jobId = extractor.job ? extractor.job.id : null;
+        throw error;
+    }
+}
@@ -0,0 +1,206 @@
+// File: js/input-resolver.js
+
+// Turns pasted links (playlists, channels, handles, videos) into lists of video IDs
+class InputResolver {
+    constructor(extractor) {
+        this.extractor = extractor;
+    }
+
+    // Split pasted text into sources, keeping track of entries that were not understood
+    parse(text) {
+        const sources = [];
+        const invalid = [];
+
+        text.split(/[\s,;]+/).filter(entry => entry).forEach(entry => {
+            const source = this.parseEntry(entry);
+            if (source) {
+                sources.push(source);
+            } else {
+                invalid.push(entry);
+            }
+        });
+
+        return { sources, invalid };
+    }
+
+    // Identify a single link or bare ID
+    parseEntry(entry) {
+        const input = entry.trim();
+
+        // Bare handles and IDs
+        if (/^@[\w.-]+$/.test(input)) {
+            return { type: 'handle', id: input, input };
+        }
+        if (/^UC[\w-]{22}$/.test(input)) {
+            return { type: 'channel', id: input, input };
+        }
+        if (/^(PL|UU|OL|FL|LL|RD)[\w-]{10,}$/.test(input)) {
+            return { type: 'playlist', id: input, input };
+        }
+        if (/^[\w-]{11}$/.test(input)) {
+            return { type: 'video', id: input, input };
+        }
+
+        let url;
+        try {
+            url = new URL(/^https?:\/\//i.test(input) ? input : `https://${input}`);
+        } catch (error) {
+            return null;
+        }
+
+        const host = url.hostname.replace(/^(www\.|m\.|music\.)/, '');
+        const path = url.pathname;
+        let match;
+
+        if (host === 'youtu.be') {
+            match = path.match(/^\/([\w-]{11})/);
+            return match ? { type: 'video', id: match[1], input } : null;
+        }
+
+        if (host !== 'youtube.com' && host !== 'youtube-nocookie.com') {
+            return null;
+        }
+
+        // A list= parameter wins, as it always did for playlist links
+        const listId = url.searchParams.get('list');
+        if (listId && /^[\w-]+$/.test(listId)) {
+            return { type: 'playlist', id: listId, input };
+        }
+
+        const videoId = url.searchParams.get('v');
+        if (path === '/watch' && videoId && /^[\w-]{11}$/.test(videoId)) {
+            return { type: 'video', id: videoId, input };
+        }
+
+        if ((match = path.match(/^\/(?:shorts|live|embed|v)\/([\w-]{11})/))) {
+            return { type: 'video', id: match[1], input };
+        }
+        if ((match = path.match(/^\/channel\/(UC[\w-]{22})/))) {
+            return { type: 'channel', id: match[1], input };
+        }
+        if ((match = path.match(/^\/(@[^/]+)/))) {
+            return { type: 'handle', id: decodeURIComponent(match[1]), input };
+        }
+        if ((match = path.match(/^\/c\/([^/]+)/))) {
+            return { type: 'customUrl', id: decodeURIComponent(match[1]), input };
+        }
+        if ((match = path.match(/^\/user\/([^/]+)/))) {
+            return { type: 'username', id: decodeURIComponent(match[1]), input };
+        }
+
+        return null;
+    }
+
+    // Resolve every source into a group of playlist entries
+    async resolveAll(sources, progressCallback) {
+        const groups = [];
+
+        for (let i = 0; i < sources.length; i++) {
+            const source = sources[i];
+            await this.extractor.waitIfPaused();
+
+            // Update progress
+            progressCallback({
+                progress: 5,
+                status: `Resolvendo entrada ${i + 1} de ${sources.length}...`,
+                processed: 0,
+                total: 0,
+                currentVideo: source.input
+            });
+
+            groups.push(await this.resolveSource(source, progressCallback));
+        }
+
+        return groups;
+    }
+
+    // Resolve one source, preferring the API when a key is set
+    async resolveSource(source, progressCallback) {
+        if (this.extractor.useApi) {
+            try {
+                return await this.resolveWithApi(source, progressCallback);
+            } catch (apiError) {
+                this.extractor.throwIfCancelled();
+                // An invalid key, empty quota or private playlist is reported instead of scraped around
+                if (apiError.fatal) {
+                    throw apiError;
+                }
+                console.warn('API resolution failed, falling back to scraping:', apiError);
+            }
+        }
+
+        return this.resolveWithoutApi(source, progressCallback);
+    }
+
+    // Resolve a source through the YouTube Data API
+    async resolveWithApi(source, progressCallback) {
+        if (source.type === 'video') {
+            return this.createGroup(source, `Vídeo ${source.id}`, null, [source.id]);
+        }
+
+        if (source.type === 'playlist') {
+            const playlist = await this.extractor.fetchPlaylistInfo(source.id);
+            const items = await this.extractor.fetchAllPlaylistItems(source.id, progressCallback);
+            const label = playlist ? playlist.snippet.title : `Playlist ${source.id}`;
+            return this.createGroup(source, label, source.id, this.mapPlaylistItems(items));
+        }
+
+        // Channels, handles, custom URLs and usernames all resolve to the uploads playlist
+        const channel = await this.extractor.fetchChannel(source);
+        if (!channel) {
+            throw new Error(`Canal não encontrado: ${source.input}`);
+        }
+
+        const uploadsId = channel.contentDetails.relatedPlaylists.uploads;
+        const items = await this.extractor.fetchAllPlaylistItems(uploadsId, progressCallback);
+        return this.createGroup(source, channel.snippet.title, uploadsId, this.mapPlaylistItems(items));
+    }
+
+    // Resolve a source without an API key by reading its YouTube pages
+    async resolveWithoutApi(source, progressCallback) {
+        if (source.type === 'video') {
+            return this.createGroup(source, `Vídeo ${source.id}`, null, [source.id]);
+        }
+
+        if (source.type === 'playlist') {
+            const playlist = await this.extractor.scrapePlaylist(source.id, progressCallback);
+            return this.createGroup(source, playlist.title || `Playlist ${source.id}`, source.id, playlist.videos);
+        }
+
+        // Handles, custom URLs and usernames name the channel on its page
+        const channel = source.type === 'channel' ? { id: source.id, title: null } : await this.extractor.scrapeChannel(source);
+        if (!channel) {
+            throw new Error(`Canal não encontrado: ${source.input}`);
+        }
+
+        // The uploads playlist ID is the channel ID with the UC prefix swapped for UU
+        const uploadsId = `UU${channel.id.slice(2)}`;
+        const playlist = await this.extractor.scrapePlaylist(uploadsId, progressCallback);
+        return this.createGroup(source, channel.title || `Canal ${channel.id}`, uploadsId, playlist.videos);
+    }
+
+    // Map API playlist items to playlist entries
+    mapPlaylistItems(items) {
+        return items.map(item => ({
+            videoId: item.snippet.resourceId.videoId,
+            title: item.snippet.title,
+            // Deleted and private entries are only told apart by this status and their placeholder title
+            privacyStatus: item.status ? item.status.privacyStatus : null
+        }));
+    }
+
+    // Build a group of entries for a resolved source
+    createGroup(source, label, playlistId, entries) {
+        return {
+            type: source.type,
+            id: source.id,
+            input: source.input,
+            label,
+            playlistId,
+            items: entries.map((entry, position) => {
+                const item = typeof entry === 'string' ? { videoId: entry, title: '' } : entry;
+                return { ...item, position };
+            })
+        };
+    }
+}
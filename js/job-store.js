@@ -0,0 +1,142 @@
+// File: js/job-store.js
+
+// Checkpoints extraction jobs in IndexedDB so an interrupted run can be resumed
+class JobStore {
+    constructor(indexedDb = self.indexedDB) {
+        this.indexedDb = indexedDb;
+        this.db = null;
+    }
+
+    // Name of the IndexedDB database
+    static get DB_NAME() {
+        return 'youtube-extractor';
+    }
+
+    // Schema version of the database
+    static get DB_VERSION() {
+        return 1;
+    }
+
+    // Check whether the browser can store jobs
+    isSupported() {
+        return !!this.indexedDb;
+    }
+
+    // Open the database once, creating the stores on first use
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                if (!this.isSupported()) {
+                    reject(new Error('O armazenamento local (IndexedDB) não está disponível neste navegador.'));
+                    return;
+                }
+
+                const request = this.indexedDb.open(JobStore.DB_NAME, JobStore.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('jobs', { keyPath: 'id' });
+                    // One entry per processed video, keyed by job and position in the run
+                    const entries = db.createObjectStore('entries', { keyPath: ['jobId', 'index'] });
+                    entries.createIndex('jobId', 'jobId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    // Run a callback inside a transaction and resolve with the result of the request it returns
+    async run(storeNames, mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const request = callback(transaction);
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('A gravação no armazenamento local foi cancelada.'));
+        });
+    }
+
+    // Create a job for a new extraction
+    async createJob(details) {
+        const now = new Date().toISOString();
+        const job = {
+            id: `job-${Date.now()}`,
+            status: 'running',
+            groups: null,
+            processed: 0,
+            total: 0,
+            createdAt: now,
+            updatedAt: now,
+            ...details
+        };
+        await this.run('jobs', 'readwrite', transaction => transaction.objectStore('jobs').put(job));
+        return job;
+    }
+
+    // Merge changes into a stored job
+    async updateJob(jobId, changes) {
+        await this.run('jobs', 'readwrite', transaction => {
+            const store = transaction.objectStore('jobs');
+            const request = store.get(jobId);
+            request.onsuccess = () => {
+                if (request.result) {
+                    store.put({ ...request.result, ...changes, updatedAt: new Date().toISOString() });
+                }
+            };
+        });
+    }
+
+    // Save a processed video and its screenshot, keeping the job's processed count in step
+    async saveEntry(jobId, index, video, screenshot) {
+        await this.run(['jobs', 'entries'], 'readwrite', transaction => {
+            const entries = transaction.objectStore('entries');
+            const jobs = transaction.objectStore('jobs');
+            entries.put({ jobId, index, video, screenshot: screenshot || null });
+
+            const count = entries.index('jobId').count(jobId);
+            count.onsuccess = () => {
+                const request = jobs.get(jobId);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        jobs.put({ ...request.result, processed: count.result, updatedAt: new Date().toISOString() });
+                    }
+                };
+            };
+        });
+    }
+
+    // Get a job by ID
+    async getJob(jobId) {
+        return this.run('jobs', 'readonly', transaction => transaction.objectStore('jobs').get(jobId));
+    }
+
+    // Get the saved entries of a job, in processing order
+    async getEntries(jobId) {
+        const entries = await this.run('entries', 'readonly', transaction => transaction.objectStore('entries').index('jobId').getAll(jobId));
+        return entries.sort((a, b) => a.index - b.index);
+    }
+
+    // List every job, newest first
+    async listJobs() {
+        const jobs = await this.run('jobs', 'readonly', transaction => transaction.objectStore('jobs').getAll());
+        return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Delete every job and entry
+    async clear() {
+        await this.run(['jobs', 'entries'], 'readwrite', transaction => {
+            transaction.objectStore('jobs').clear();
+            transaction.objectStore('entries').clear();
+        });
+    }
+
+    // Delete a job and all of its entries
+    async deleteJob(jobId) {
+        await this.run(['jobs', 'entries'], 'readwrite', transaction => {
+            transaction.objectStore('jobs').delete(jobId);
+            transaction.objectStore('entries').delete(IDBKeyRange.bound([jobId, 0], [jobId, Infinity]));
+        });
+    }
+}
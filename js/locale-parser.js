@@ -0,0 +1,288 @@
+// File: js/locale-parser.js
+
+// Reads counts, durations and dates from text shown by the YouTube UI in any of its common languages
+// (pt-BR, en, es, fr, de, it, ru, ja, ko, zh). Every parser returns null when it cannot be sure of the
+// value, so a report never shows a guessed number or date
+class LocaleParser {
+    // Abbreviations (without accents) YouTube puts after shortened counts, with their multiplier; longer forms come first
+    // so "mil M" (es, thousand millions) wins over "mil" and "mil" over "mi"
+    static get COUNT_SUFFIXES() {
+        return [
+            ['mil millones', 1e9], ['mil m', 1e9], ['millones', 1e6], ['millon', 1e6], ['milhoes', 1e6], ['milhao', 1e6],
+            ['bilhoes', 1e9], ['bilhao', 1e9], ['milliards', 1e9], ['milliard', 1e9], ['millions', 1e6], ['million', 1e6],
+            ['billion', 1e9], ['thousand', 1e3], ['mill', 1e6], ['mil', 1e3], ['mio', 1e6], ['mrd', 1e9], ['mld', 1e9],
+            ['mln', 1e6], ['tsd', 1e3], ['md', 1e9], ['mi', 1e6], ['bi', 1e9], ['k', 1e3], ['m', 1e6], ['b', 1e9],
+            ['тыс', 1e3], ['млрд', 1e9], ['млн', 1e6],
+            ['億', 1e8], ['亿', 1e8], ['萬', 1e4], ['万', 1e4], ['千', 1e3], ['억', 1e8], ['만', 1e4], ['천', 1e3]
+        ];
+    }
+
+    // Phrases meaning zero views or likes
+    static get ZERO_COUNT() {
+        return /^(no|nenhuma?|sem|sin|ninguna?|aucune?|keine|nessuna?|нет)(?!\p{L})/u;
+    }
+
+    // Month names (lower case, without accents) in the languages above; abbreviations match by prefix
+    static get MONTHS() {
+        return [
+            ['january', 'janeiro', 'enero', 'janvier', 'januar', 'gennaio', 'январ', 'января'],
+            ['february', 'fevereiro', 'febrero', 'fevrier', 'februar', 'febbraio', 'феврал', 'февраля'],
+            ['march', 'marco', 'marzo', 'mars', 'marz', 'марта', 'март'],
+            ['april', 'abril', 'avril', 'aprile', 'апрел', 'апреля'],
+            ['may', 'maio', 'mayo', 'mai', 'maggio', 'мая', 'маи'],
+            ['june', 'junho', 'junio', 'juin', 'juni', 'giugno', 'июня', 'июнь'],
+            ['july', 'julho', 'julio', 'juillet', 'juli', 'luglio', 'июля', 'июль'],
+            ['august', 'agosto', 'aout', 'августа', 'август'],
+            ['september', 'setembro', 'septiembre', 'septembre', 'settembre', 'сентября', 'сентябрь'],
+            ['october', 'outubro', 'octubre', 'octobre', 'oktober', 'ottobre', 'октября', 'октябрь'],
+            ['november', 'novembro', 'noviembre', 'novembre', 'ноября', 'ноябрь'],
+            ['december', 'dezembro', 'diciembre', 'decembre', 'dezember', 'dicembre', 'декабря', 'декабрь']
+        ];
+    }
+
+    // Time units of durations and relative dates, matched against the start of the (accent-free) word
+    static get TIME_UNITS() {
+        return [
+            { unit: 'second', pattern: /^(sec|seg|sek|s$|сек|秒|초)/, seconds: 1 },
+            { unit: 'minute', pattern: /^(min|мин|分|분)/, seconds: 60 },
+            { unit: 'hour', pattern: /^(hour|hora|heure|stunde|or[ae]$|h$|час|時間|小时|小時|시간)/, seconds: 3600 },
+            { unit: 'day', pattern: /^(day|dia|jour|tag|giorn|дн|день|дня|日|天|일)/, seconds: 86400 },
+            { unit: 'week', pattern: /^(week|semana|semaine|woche|settiman|недел|週間|周|週|주)/, seconds: 604800 },
+            { unit: 'month', pattern: /^(month|mes|mois|monat|mes[ei]$|месяц|か月|ヶ月|个月|個月|개월)/, seconds: null },
+            { unit: 'year', pattern: /^(year|ano|ans?$|jahr|ann[oi]$|год|лет|年|년)/, seconds: null }
+        ];
+    }
+
+    // Words marking a relative date ("3 days ago", "há 3 dias", "hace 3 días", "vor 3 Tagen", "3 giorni fa")
+    static get RELATIVE_MARKER() {
+        return /(^|[^a-z])(ago|ha|hace|il y a|vor|fa|atras|назад)([^a-z]|$)|前|전/;
+    }
+
+    // Count from text like "1,234,567 views", "1,2 mil visualizações", "3,4 mi", "1.2K", "12 mil M" or "1.234 Aufrufe"
+    static parseCount(text) {
+        if (typeof text === 'number') {
+            return isFinite(text) ? Math.round(text) : null;
+        }
+        if (!text) {
+            return null;
+        }
+
+        const normalized = LocaleParser.normalize(text);
+        const match = normalized.match(/\d+(?:[.,' ]\d+)*/);
+        if (!match) {
+            return LocaleParser.ZERO_COUNT.test(normalized) ? 0 : null;
+        }
+
+        const rest = normalized.slice(match.index + match[0].length).trim();
+        const multiplier = LocaleParser.findCountSuffix(rest);
+        const number = multiplier === 1
+            ? LocaleParser.parseGroupedInteger(match[0])
+            : LocaleParser.parseShortNumber(match[0]);
+
+        return number === null ? null : Math.round(number * multiplier);
+    }
+
+    // Multiplier of the abbreviation at the start of the text following a number, or 1 when there is none
+    static findCountSuffix(text) {
+        const suffix = LocaleParser.COUNT_SUFFIXES.find(([word]) => {
+            if (!text.startsWith(word)) {
+                return false;
+            }
+            // Latin and Cyrillic abbreviations must end the word ("mi" is not "minutos"); CJK ones stand alone
+            const next = text.charAt(word.length);
+            return !/[\p{Script=Latin}\p{Script=Cyrillic}]/u.test(word) || !/[\p{L}]/u.test(next);
+        });
+        return suffix ? suffix[1] : 1;
+    }
+
+    // Whole number written with one kind of thousands separator ("1,234,567", "1.234.567", "1 234 567")
+    static parseGroupedInteger(text) {
+        if (/^\d+$/.test(text)) {
+            return parseInt(text, 10);
+        }
+        const match = text.match(/^\d{1,3}([.,' ])\d{3}(?:\1\d{3})*$/);
+        return match ? parseInt(text.replace(/\D/g, ''), 10) : null;
+    }
+
+    // Shortened number before an abbreviation, where the separator is the decimal point ("1,2", "1.2", "12")
+    static parseShortNumber(text) {
+        const match = text.match(/^(\d+)(?:[.,](\d{1,2}))?$/);
+        return match ? parseFloat(`${match[1]}.${match[2] || 0}`) : null;
+    }
+
+    // Duration in seconds from "12:34", "1:02:03", ISO 8601 ("PT1H2M3S") or words ("1 hora e 2 minutos", "3 min 5 s")
+    static parseDuration(text) {
+        if (!text) {
+            return null;
+        }
+
+        const trimmed = String(text).trim();
+        const iso = trimmed.match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/i);
+        if (iso && iso.slice(1).some(Boolean)) {
+            const [days, hours, minutes, seconds] = iso.slice(1).map(part => parseInt(part || '0', 10));
+            return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+        }
+
+        const clock = trimmed.match(/^(?:(\d+):)?(\d+):(\d{2})$/);
+        if (clock) {
+            const hours = parseInt(clock[1] || '0', 10);
+            const minutes = parseInt(clock[2], 10);
+            const seconds = parseInt(clock[3], 10);
+            // Minutes only run past 59 when there is no hour part ("75:00" is valid, "1:75:00" is not)
+            if (seconds > 59 || (clock[1] !== undefined && minutes > 59)) {
+                return null;
+            }
+            return hours * 3600 + minutes * 60 + seconds;
+        }
+
+        let total = 0;
+        let found = false;
+        for (const part of LocaleParser.normalize(trimmed).matchAll(/(\d+)\s*([\p{L}]+)/gu)) {
+            const unit = LocaleParser.findTimeUnit(part[2]);
+            if (!unit || unit.seconds === null || unit.unit === 'day' || unit.unit === 'week') {
+                return null;
+            }
+            total += parseInt(part[1], 10) * unit.seconds;
+            found = true;
+        }
+        return found ? total : null;
+    }
+
+    // Publication date from "2024-01-15", "15 de jan. de 2024", "Jan 15, 2024", "15.01.2024",
+    // "2024年1月15日" or relative text ("há 3 dias", "Streamed 2 hours ago"), ignoring any words around it
+    // ("Estreou em", "Streamed live on", "Premiered"); relative dates are counted back from now.
+    // Calendar dates come back as "YYYY-MM-DD" with no time zone; timestamps and relative dates as full ISO strings
+    static parseDate(text, now = new Date()) {
+        if (!text) {
+            return null;
+        }
+
+        // Full timestamps ("2023-05-01T07:00:00-07:00") keep their time and offset, so the local day is right
+        if (/^\d{4}-\d{2}-\d{2}T/.test(String(text).trim())) {
+            const timestamp = new Date(String(text).trim());
+            return isNaN(timestamp.getTime()) ? null : timestamp.toISOString();
+        }
+
+        const normalized = LocaleParser.normalize(text);
+        return LocaleParser.parseAbsoluteDate(normalized) || LocaleParser.parseRelativeDate(normalized, now);
+    }
+
+    // Calendar date written out in full, or null
+    static parseAbsoluteDate(text) {
+        // Year first: ISO dates and the CJK order
+        const yearFirst = text.match(/(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})/);
+        if (yearFirst) {
+            return LocaleParser.toIsoDate(yearFirst[1], yearFirst[2] - 1, yearFirst[3]);
+        }
+
+        // Day before the month name: "15 de jan. de 2024", "15 janv. 2024", "15. Januar 2024"
+        for (const match of text.matchAll(/(\d{1,2})(?:er|º)?\.?\s+(?:de\s+)?([\p{L}]+)\.?,?\s+(?:de\s+)?(\d{4})/gu)) {
+            const month = LocaleParser.findMonth(match[2]);
+            if (month !== null) {
+                return LocaleParser.toIsoDate(match[3], month, match[1]);
+            }
+        }
+
+        // Month name before the day: "Jan 15, 2024", "January 15 2024"
+        for (const match of text.matchAll(/([\p{L}]+)\.?\s+(\d{1,2}),?\s+(\d{4})/gu)) {
+            const month = LocaleParser.findMonth(match[1]);
+            if (month !== null) {
+                return LocaleParser.toIsoDate(match[3], month, match[2]);
+            }
+        }
+
+        // Numbers only: dots are always day-first; slashes only when the order is unambiguous
+        const numeric = text.match(/(\d{1,2})([./])(\d{1,2})\2(\d{4})/);
+        if (numeric) {
+            const first = parseInt(numeric[1], 10);
+            const second = parseInt(numeric[3], 10);
+            if (numeric[2] === '.' || first > 12) {
+                return LocaleParser.toIsoDate(numeric[4], second - 1, first);
+            }
+            if (second > 12) {
+                return LocaleParser.toIsoDate(numeric[4], first - 1, second);
+            }
+        }
+
+        return null;
+    }
+
+    // Date some time before now ("3 days ago", "há 2 semanas", "an hour ago"), or null
+    static parseRelativeDate(text, now) {
+        if (!LocaleParser.RELATIVE_MARKER.test(text)) {
+            return null;
+        }
+
+        const match = text.match(/(?:^|[^\p{L}\d])(\d+|an?|um|uma|un|una|une|ein|eine|einem|einer)\s*([\p{L}]+)/u);
+        const unit = match && LocaleParser.findTimeUnit(match[2]);
+        if (!unit) {
+            return null;
+        }
+
+        const amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1;
+        const date = new Date(now.getTime());
+        if (unit.unit === 'month') {
+            date.setUTCMonth(date.getUTCMonth() - amount);
+        } else if (unit.unit === 'year') {
+            date.setUTCFullYear(date.getUTCFullYear() - amount);
+        } else {
+            date.setTime(date.getTime() - amount * unit.seconds * 1000);
+        }
+        return date.toISOString();
+    }
+
+    // Month index of a full or abbreviated month name, or null when it is not one (or could be two)
+    static findMonth(word) {
+        if (word.length < 3) {
+            return null;
+        }
+        const months = [];
+        LocaleParser.MONTHS.forEach((names, index) => {
+            if (names.some(name => name.startsWith(word))) {
+                months.push(index);
+            }
+        });
+        return months.length === 1 ? months[0] : null;
+    }
+
+    // Time unit a word names, or null
+    static findTimeUnit(word) {
+        return LocaleParser.TIME_UNITS.find(unit => unit.pattern.test(word)) || null;
+    }
+
+    // Calendar date as "YYYY-MM-DD", or null if the day does not exist
+    static toIsoDate(year, month, day) {
+        const date = new Date(Date.UTC(parseInt(year, 10), month, parseInt(day, 10)));
+        if (date.getUTCMonth() !== month || date.getUTCDate() !== parseInt(day, 10)) {
+            return null;
+        }
+        return date.toISOString().slice(0, 10);
+    }
+
+    // Date object for a parsed date; a "YYYY-MM-DD" value is that day at local midnight, so it shows
+    // as the same calendar day in every time zone (new Date() would read it as midnight UTC)
+    static toDate(value) {
+        const dateOnly = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (dateOnly) {
+            return new Date(parseInt(dateOnly[1], 10), parseInt(dateOnly[2], 10) - 1, parseInt(dateOnly[3], 10));
+        }
+        return new Date(value);
+    }
+
+    // Lower case without accents, with the non-breaking spaces YouTube uses inside numbers made plain
+    static normalize(text) {
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .normalize('NFC')
+            .replace(/[\u00a0\u2009\u202f]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+}
+
+// The local helper service runs the page parser, which uses this module, under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocaleParser;
+}
@@ -0,0 +1,320 @@
+// File: js/page-scraper.js
+
+// Reads playlist, channel and video data from raw YouTube page HTML, without an API key.
+// Pages are loaded through a pluggable backend: a function (url, options) resolving with the page text,
+// so a CORS proxy or a local helper can stand in for a direct request the browser would block
+class PageScraper {
+    constructor(fetchPage = PageScraper.directBackend) {
+        this.fetchPage = fetchPage;
+    }
+
+    // Most continuation pages followed for one playlist (100 videos each)
+    static get MAX_PLAYLIST_PAGES() {
+        return 200;
+    }
+
+    // Address the local helper service listens on unless started with another port
+    static get DEFAULT_HELPER_URL() {
+        return 'http://localhost:8787';
+    }
+
+    // Header every request to the local helper carries; a web page can only send it after a CORS preflight
+    static get HELPER_HEADER() {
+        return 'X-Extractor-Helper';
+    }
+
+    // Request options with the local helper's header added
+    static withHelperHeader(options = {}) {
+        return { ...options, headers: { ...(options.headers || {}), [PageScraper.HELPER_HEADER]: '1' } };
+    }
+
+    // Load a page straight from YouTube; only works where cross-origin requests are allowed
+    static async directBackend(url, options = {}) {
+        const response = await fetch(url, options);
+        if (!response.ok) {
+            throw new Error(`Page request failed: ${response.status}`);
+        }
+        return response.text();
+    }
+
+    // Backend that loads pages through a CORS proxy; "{url}" in the proxy address is replaced
+    // with the encoded page URL, otherwise the page URL is appended to it
+    static createProxyBackend(proxyUrl) {
+        return (url, options) => {
+            const target = proxyUrl.includes('{url}')
+                ? proxyUrl.replace('{url}', encodeURIComponent(url))
+                : proxyUrl + url;
+            return PageScraper.directBackend(target, options);
+        };
+    }
+
+    // Backend that loads pages through the local helper service (scripts/helper-server.js)
+    static createHelperBackend(helperUrl) {
+        return (url, options) => PageScraper.directBackend(`${helperUrl.replace(/\/+$/, '')}/page?url=${encodeURIComponent(url)}`, PageScraper.withHelperHeader(options));
+    }
+
+    // Ask the local helper whether it is running; resolves with its capabilities, or null when it does not answer
+    static async checkHelper(helperUrl, timeout = 1500) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+            const response = await fetch(`${helperUrl.replace(/\/+$/, '')}/health`, { signal: controller.signal });
+            const health = response.ok ? await response.json() : null;
+            return health && health.ok ? health : null;
+        } catch (error) {
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Load a page through the backend, turning network failures into one readable error
+    async load(url, options = {}) {
+        try {
+            return await this.fetchPage(url, options);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            // A blocked or unreachable backend fails every other page too
+            const wrapped = new Error(`Não foi possível carregar ${url}. Configure um proxy CORS ou o auxiliar local nas configurações avançadas. (${error.message})`);
+            wrapped.code = 'PAGE_FETCH_FAILED';
+            wrapped.fatal = error instanceof TypeError;
+            throw wrapped;
+        }
+    }
+
+    // Fetch a playlist's title and videos, following continuation pages
+    async fetchPlaylist(playlistId, options = {}, onPage = null) {
+        const html = await this.load(`https://www.youtube.com/playlist?list=${playlistId}&hl=en`, options);
+        const page = PageScraper.parsePlaylistPage(html);
+        if (!page) {
+            throw new Error(`Playlist não encontrada ou privada: ${playlistId}`);
+        }
+
+        const videos = page.videos;
+        let continuation = page.continuation;
+        for (let pageCount = 1; continuation && page.innertube && pageCount < PageScraper.MAX_PLAYLIST_PAGES; pageCount++) {
+            if (onPage) {
+                await onPage(videos.length);
+            }
+            const response = await this.load(`https://www.youtube.com/youtubei/v1/browse?key=${page.innertube.apiKey}&prettyPrint=false`, {
+                ...options,
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ context: page.innertube.context, continuation })
+            });
+            const next = PageScraper.collectPlaylistEntries(JSON.parse(response));
+            videos.push(...next.videos);
+            continuation = next.continuation;
+        }
+
+        return { title: page.title, videos };
+    }
+
+    // Fetch the ID and name of a channel from its handle, custom URL or legacy username page
+    async fetchChannel(source, options = {}) {
+        const paths = { handle: source.id, customUrl: `c/${source.id}`, username: `user/${source.id}` };
+        const path = paths[source.type] || `channel/${source.id}`;
+        const html = await this.load(`https://www.youtube.com/${path}?hl=en`, options);
+        const data = PageScraper.extractJson(html, 'ytInitialData');
+        const metadata = data && data.metadata && data.metadata.channelMetadataRenderer;
+        return metadata ? { id: metadata.externalId, title: metadata.title } : null;
+    }
+
+    // Fetch a watch page and read the video's data from it
+    async fetchVideo(videoId, options = {}) {
+        const html = await this.load(`https://www.youtube.com/watch?v=${videoId}&hl=en`, options);
+        return PageScraper.parseVideoPage(html);
+    }
+
+    // Title, first batch of videos and continuation token of a playlist page, or null when the playlist
+    // is missing or private (the page then only carries an alert, without the playlist's metadata)
+    static parsePlaylistPage(html) {
+        const data = PageScraper.extractJson(html, 'ytInitialData');
+        const metadata = data && data.metadata && data.metadata.playlistMetadataRenderer;
+        if (!metadata) {
+            return null;
+        }
+
+        const apiKey = (html.match(/"INNERTUBE_API_KEY":"([^"]+)"/) || [])[1];
+        const context = PageScraper.extractJson(html, '"INNERTUBE_CONTEXT"', ':');
+
+        return {
+            title: metadata.title,
+            ...PageScraper.collectPlaylistEntries(data),
+            innertube: apiKey && context ? { apiKey, context } : null
+        };
+    }
+
+    // Playlist videos and the next continuation token found anywhere in a page or continuation response
+    static collectPlaylistEntries(data) {
+        const videos = [];
+        let continuation = null;
+
+        PageScraper.walk(data, (key, value) => {
+            if (key === 'playlistVideoRenderer' && value.videoId) {
+                videos.push({ videoId: value.videoId, title: PageScraper.getText(value.title) || '' });
+                return false;
+            }
+            if (key === 'continuationItemRenderer') {
+                const command = value.continuationEndpoint && value.continuationEndpoint.continuationCommand;
+                continuation = command ? command.token : continuation;
+                return false;
+            }
+            return true;
+        });
+
+        return { videos, continuation };
+    }
+
+    // Video data from a watch page's player response and initial data; missing values stay null
+    static parseVideoPage(html) {
+        const player = PageScraper.extractJson(html, 'ytInitialPlayerResponse') || {};
+        const data = PageScraper.extractJson(html, 'ytInitialData') || {};
+        const details = player.videoDetails || {};
+        const primaryInfo = PageScraper.findRenderer(data, 'videoPrimaryInfoRenderer') || {};
+        const viewCountRenderer = (primaryInfo.viewCount && primaryInfo.viewCount.videoViewCountRenderer) || {};
+        const viewCount = PageScraper.toNumber(details.viewCount);
+        const microformat = (player.microformat && player.microformat.playerMicroformatRenderer) || {};
+        const playability = player.playabilityStatus || {};
+        const thumbnails = (details.thumbnail && details.thumbnail.thumbnails) || [];
+
+        return {
+            found: !!player.videoDetails,
+            title: details.title || PageScraper.getText(microformat.title) || null,
+            // Live streams and some layouts only show the count as text ("1,234 views")
+            viewCount: viewCount !== null ? viewCount : LocaleParser.parseCount(PageScraper.getText(viewCountRenderer.viewCount)),
+            likeCount: PageScraper.findLikeCount(data),
+            lengthSeconds: PageScraper.toNumber(details.lengthSeconds),
+            // Either an ISO date or the page's own wording ("Premiered Mar 3, 2023"); LocaleParser.parseDate reads both
+            publishDate: microformat.publishDate || microformat.uploadDate || PageScraper.getText(primaryInfo.dateText) || null,
+            channelTitle: details.author || microformat.ownerChannelName || null,
+            channelId: details.channelId || microformat.externalChannelId || null,
+            description: details.shortDescription || null,
+            tags: details.keywords || null,
+            category: microformat.category || null,
+            thumbnailUrl: thumbnails.length > 0 ? thumbnails[thumbnails.length - 1].url : null,
+            isLive: !!details.isLiveContent,
+            playabilityStatus: playability.status || null,
+            playabilityReason: playability.reason || PageScraper.getText(
+                playability.errorScreen && playability.errorScreen.playerErrorMessageRenderer && playability.errorScreen.playerErrorMessageRenderer.reason
+            ) || null
+        };
+    }
+
+    // First renderer of the given kind anywhere in a parsed page, or null
+    static findRenderer(data, name) {
+        let found = null;
+        PageScraper.walk(data, (key, value) => {
+            if (found === null && key === name && value && typeof value === 'object') {
+                found = value;
+            }
+            return found === null;
+        });
+        return found;
+    }
+
+    // Like count from the like button's accessibility label, which reads the same in every layout with hl=en
+    static findLikeCount(data) {
+        let likes = null;
+        PageScraper.walk(data, (key, value) => {
+            if (likes !== null) {
+                return false;
+            }
+            if (typeof value === 'string' && (key === 'accessibilityText' || key === 'label')) {
+                const match = value.match(/along with ([\d,.]+\w?) other/i) || value.match(/^([\d,.]+\w?) likes?$/i);
+                if (match) {
+                    likes = LocaleParser.parseCount(match[1]);
+                }
+            }
+            return true;
+        });
+        return likes;
+    }
+
+    // Parse the JSON object assigned to a page variable (or following a quoted key), or null when absent
+    static extractJson(html, marker, separator = '=') {
+        let index = html.indexOf(marker);
+        while (index !== -1) {
+            const start = html.indexOf('{', index + marker.length);
+            // Only accept the marker when the object follows the separator directly (also in window["name"] = {...})
+            if (start !== -1 && html.slice(index + marker.length, start).replace(/^["'\]]+/, '').trim() === separator) {
+                const end = PageScraper.findObjectEnd(html, start);
+                if (end !== -1) {
+                    try {
+                        return JSON.parse(html.slice(start, end + 1));
+                    } catch (error) {
+                        return null;
+                    }
+                }
+            }
+            index = html.indexOf(marker, index + marker.length);
+        }
+        return null;
+    }
+
+    // Index of the brace closing the object that starts at the given index, skipping braces inside strings
+    static findObjectEnd(text, start) {
+        let depth = 0;
+        let inString = false;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                if (char === '\\') {
+                    i++;
+                } else if (char === '"') {
+                    inString = false;
+                }
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) {
+                    return i;
+                }
+            }
+        }
+        return -1;
+    }
+
+    // Visit every key and value of a parsed page; the visitor returns false to skip a value's children
+    static walk(node, visitor) {
+        if (Array.isArray(node)) {
+            node.forEach(child => PageScraper.walk(child, visitor));
+        } else if (node && typeof node === 'object') {
+            Object.keys(node).forEach(key => {
+                if (visitor(key, node[key]) !== false) {
+                    PageScraper.walk(node[key], visitor);
+                }
+            });
+        }
+    }
+
+    // Text of a YouTube text object, which holds either simpleText or runs
+    static getText(node) {
+        if (!node) {
+            return null;
+        }
+        if (typeof node === 'string') {
+            return node;
+        }
+        if (node.simpleText) {
+            return node.simpleText;
+        }
+        return node.runs ? node.runs.map(run => run.text).join('') : null;
+    }
+
+    // Parse a numeric string from the player response, keeping absent values as null
+    static toNumber(value) {
+        const number = parseInt(value, 10);
+        return isNaN(number) ? null : number;
+    }
+}
+
+// The tests and the local helper service run this parser under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PageScraper;
+}
@@ -0,0 +1,114 @@
+// File: js/response-cache.js
+
+// Caches YouTube API responses in IndexedDB so repeated runs skip requests that are still fresh
+class ResponseCache {
+    constructor(indexedDb = self.indexedDB) {
+        this.indexedDb = indexedDb;
+        this.db = null;
+    }
+
+    // Name of the IndexedDB database, kept apart from the job history so each can be cleared alone
+    static get DB_NAME() {
+        return 'youtube-extractor-cache';
+    }
+
+    // Schema version of the database
+    static get DB_VERSION() {
+        return 1;
+    }
+
+    // How long cached values stay fresh: stable fields (title, duration) rarely change, counters do
+    static get TTL() {
+        return {
+            stable: 7 * 24 * 60 * 60 * 1000,
+            volatile: 6 * 60 * 60 * 1000
+        };
+    }
+
+    // Check whether the browser can store the cache
+    isSupported() {
+        return !!this.indexedDb;
+    }
+
+    // Open the database once, creating the store on first use
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                if (!this.isSupported()) {
+                    reject(new Error('O armazenamento local (IndexedDB) não está disponível neste navegador.'));
+                    return;
+                }
+
+                const request = this.indexedDb.open(ResponseCache.DB_NAME, ResponseCache.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    // One record per endpoint, part and video, e.g. "videos:statistics:dQw4w9WgXcQ"
+                    request.result.createObjectStore('responses', { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    // Run a callback inside a transaction and resolve with the value it leaves in its result holder
+    async run(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('responses', mode);
+            const holder = {};
+            callback(transaction.objectStore('responses'), holder);
+            transaction.oncomplete = () => resolve(holder.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('A gravação no cache foi cancelada.'));
+        });
+    }
+
+    // Get the cached values for the given keys that are younger than their lifetime's TTL
+    async getFresh(keys, lifetime) {
+        const maxAge = ResponseCache.TTL[lifetime];
+        const now = Date.now();
+
+        return this.run('readonly', (store, holder) => {
+            holder.result = {};
+            keys.forEach(key => {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    const record = request.result;
+                    if (record && now - record.cachedAt < maxAge) {
+                        holder.result[key] = record.value;
+                    }
+                };
+            });
+        });
+    }
+
+    // Store values by key, stamped with the time they were fetched
+    async putMany(values) {
+        const cachedAt = Date.now();
+        await this.run('readwrite', store => {
+            Object.keys(values).forEach(key => store.put({ key, value: values[key], cachedAt }));
+        });
+    }
+
+    // Number of cached records and their approximate size in bytes
+    async getSize() {
+        return this.run('readonly', (store, holder) => {
+            holder.result = { count: 0, bytes: 0 };
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    holder.result.count++;
+                    holder.result.bytes += JSON.stringify(cursor.value).length;
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    // Delete every cached response
+    async clear() {
+        await this.run('readwrite', store => store.clear());
+    }
+}
@@ -0,0 +1,111 @@
+// File: js/snapshot-diff.js
+
+// Compares two extractions of the same playlist video by video
+class SnapshotDiff {
+    // Readable label for each video's situation between the two runs
+    static get STATUS_LABELS() {
+        return {
+            added: 'Adicionado',
+            removed: 'Removido',
+            changed: 'Alterado',
+            unchanged: 'Sem alteração'
+        };
+    }
+
+    // Check whether two runs share at least one playlist (or channel, or video)
+    static isSamePlaylist(oldRun, newRun) {
+        const oldKeys = SnapshotDiff.getSourceKeys(oldRun);
+        return SnapshotDiff.getSourceKeys(newRun).some(key => oldKeys.includes(key));
+    }
+
+    // Identify the sources of a run by their playlist ID, falling back to the source ID
+    static getSourceKeys(run) {
+        return (run.groups || []).map(group => group.playlistId || group.id);
+    }
+
+    // Compare two runs; rows follow the newer run's order, with removed videos at the end
+    static compare(oldRun, newRun) {
+        const oldById = new Map(oldRun.videos.map(video => [video.videoId, video]));
+        const newIds = new Set(newRun.videos.map(video => video.videoId));
+
+        const rows = newRun.videos.map(video => SnapshotDiff.compareVideo(oldById.get(video.videoId) || null, video));
+        oldRun.videos
+            .filter(video => !newIds.has(video.videoId))
+            .forEach(video => rows.push(SnapshotDiff.compareVideo(video, null)));
+
+        return {
+            oldRun: { extractedAt: oldRun.extractedAt, videoCount: oldRun.videos.length },
+            newRun: { extractedAt: newRun.extractedAt, videoCount: newRun.videos.length },
+            rows,
+            counts: {
+                added: rows.filter(row => row.status === 'added').length,
+                removed: rows.filter(row => row.status === 'removed').length,
+                moved: rows.filter(row => row.moved).length,
+                renamed: rows.filter(row => row.renamed).length
+            },
+            totals: {
+                views: SnapshotDiff.compareValues(SnapshotDiff.sum(oldRun.videos, 'views'), SnapshotDiff.sum(newRun.videos, 'views')),
+                likes: SnapshotDiff.compareValues(SnapshotDiff.sum(oldRun.videos, 'likes'), SnapshotDiff.sum(newRun.videos, 'likes'))
+            }
+        };
+    }
+
+    // Compare one video across the two runs; either side is null when the video is only in one run
+    static compareVideo(oldVideo, newVideo) {
+        const video = newVideo || oldVideo;
+        const oldPosition = oldVideo ? SnapshotDiff.getPosition(oldVideo) : null;
+        const newPosition = newVideo ? SnapshotDiff.getPosition(newVideo) : null;
+        const moved = !!(oldVideo && newVideo) && oldPosition !== null && newPosition !== null && oldPosition !== newPosition;
+        const renamed = !!(oldVideo && newVideo) && !!oldVideo.title && !!newVideo.title && oldVideo.title !== newVideo.title;
+
+        let status = 'unchanged';
+        if (!oldVideo) {
+            status = 'added';
+        } else if (!newVideo) {
+            status = 'removed';
+        } else if (moved || renamed) {
+            status = 'changed';
+        }
+
+        return {
+            videoId: video.videoId,
+            status,
+            oldTitle: oldVideo ? oldVideo.title : null,
+            newTitle: newVideo ? newVideo.title : null,
+            renamed,
+            oldPosition,
+            newPosition,
+            moved,
+            views: SnapshotDiff.compareValues(oldVideo ? oldVideo.views : null, newVideo ? newVideo.views : null),
+            likes: SnapshotDiff.compareValues(oldVideo ? oldVideo.likes : null, newVideo ? newVideo.likes : null)
+        };
+    }
+
+    // Absolute and relative change between two counts; null where either count is unknown
+    static compareValues(oldValue, newValue) {
+        const known = SnapshotDiff.isPresent(oldValue) && SnapshotDiff.isPresent(newValue);
+        const change = known ? newValue - oldValue : null;
+        return {
+            old: SnapshotDiff.isPresent(oldValue) ? oldValue : null,
+            new: SnapshotDiff.isPresent(newValue) ? newValue : null,
+            change,
+            percent: known && oldValue !== 0 ? change / oldValue : null
+        };
+    }
+
+    // 1-based position of a video in its playlist
+    static getPosition(video) {
+        return typeof video.position === 'number' ? video.position + 1 : null;
+    }
+
+    // Sum a count over the videos that have it, null when none do
+    static sum(videos, field) {
+        const values = videos.map(video => video[field]).filter(value => SnapshotDiff.isPresent(value));
+        return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null;
+    }
+
+    // Check whether an extracted value is present
+    static isPresent(value) {
+        return value !== null && value !== undefined;
+    }
+}
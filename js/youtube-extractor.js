@@ -6,6 +6,91 @@ class YouTubeExtractor {
         this.videos = [];
         this.screenshots = [];
         this.totalDuration = 0;
+        this.batchRequests = true;
+        this.demoMode = false;
+        this.method = null;
+        this.quotaUsed = 0;
+        this.resolver = new InputResolver(this);
+        this.jobStore = null;
+        this.responseCache = null;
+        this.forceRefresh = false;
+        this.scrapingProxy = '';
+        this.helperUrl = '';
+        this.helperScreenshots = false;
+        this.cardTemplate = CardTemplates.DEFAULT_TEMPLATE;
+        this.cardLogo = null;
+        this.pageScraper = new PageScraper();
+        this.job = null;
+        this.completedEntries = new Map();
+        this.failures = new Map();
+        this.abortController = null;
+        this.paused = false;
+        this.resumeWaiters = [];
+        this.concurrency = 4;
+        this.region = this.getDefaultRegion();
+    }
+
+    // Readable names of the extraction methods, shown in exports and on evidence images
+    static get METHOD_LABELS() {
+        return {
+            api: 'API do YouTube',
+            scraping: 'Web scraping',
+            demo: 'Demonstração (dados fictícios)',
+            mixed: 'Misto (API do YouTube e web scraping)'
+        };
+    }
+
+    // Height of the band under every evidence image with its capture time and extraction method
+    static get CAPTURE_FOOTER_HEIGHT() {
+        return 60;
+    }
+
+    // Daily quota granted to a YouTube Data API project
+    static get DAILY_QUOTA() {
+        return 10000;
+    }
+
+    // Upper bound for parallel video processing, to stay gentle with YouTube and the browser
+    static get MAX_CONCURRENCY() {
+        return 10;
+    }
+
+    // Retries for rate-limited or failing API requests; delays double from the base up to the cap
+    static get API_RETRY() {
+        return { attempts: 4, baseDelay: 500, maxDelay: 16000 };
+    }
+
+    // Messages for the YouTube API error reasons a user can act on
+    static get API_ERROR_MESSAGES() {
+        return {
+            keyInvalid: 'A chave da API do YouTube é inválida. Verifique a chave informada.',
+            quotaExceeded: 'A cota diária da API do YouTube foi esgotada. Tente novamente amanhã ou use outra chave.',
+            dailyLimitExceeded: 'A cota diária da API do YouTube foi esgotada. Tente novamente amanhã ou use outra chave.',
+            accessNotConfigured: 'A YouTube Data API não está ativada no projeto desta chave.',
+            playlistNotFound: 'Playlist não encontrada. Verifique o link informado.',
+            playlistItemsNotAccessible: 'Esta playlist é privada e não pode ser lida com a chave da API.',
+            channelNotFound: 'Canal não encontrado. Verifique o link informado.'
+        };
+    }
+
+    // Reasons that would fail every later request too, so the run stops instead of moving on
+    static get FATAL_API_REASONS() {
+        return Object.keys(YouTubeExtractor.API_ERROR_MESSAGES);
+    }
+
+    // Whether each part of a video resource holds stable or volatile data, which sets how long it is cached
+    static get VIDEO_PART_LIFETIMES() {
+        return {
+            snippet: 'stable',
+            contentDetails: 'stable',
+            statistics: 'volatile',
+            liveStreamingDetails: 'volatile'
+        };
+    }
+
+    // Fields whose extraction status is reported per video
+    static get TRACKED_FIELDS() {
+        return ['title', 'duration', 'views', 'likes', 'publishedDate'];
     }
 
     // Set API key
@@ -14,55 +99,574 @@ class YouTubeExtractor {
         this.useApi = !!apiKey;
     }
 
+    // Enable or disable batched video lookups (up to 50 IDs per request)
+    setBatchRequests(enabled) {
+        this.batchRequests = !!enabled;
+    }
+
+    // Number of videos processed at the same time
+    setConcurrency(limit) {
+        this.concurrency = Math.min(Math.max(parseInt(limit, 10) || 1, 1), YouTubeExtractor.MAX_CONCURRENCY);
+    }
+
+    // Enable or disable demo mode, which uses built-in sample videos instead of real data
+    setDemoMode(enabled) {
+        this.demoMode = !!enabled;
+    }
+
+    // Serve video lookups from the given response cache while they are fresh
+    setResponseCache(responseCache) {
+        this.responseCache = responseCache;
+    }
+
+    // Skip cached responses and fetch everything again; fresh responses are still cached
+    setForceRefresh(enabled) {
+        this.forceRefresh = !!enabled;
+    }
+
+    // Load YouTube pages for scraping through the given backend, a function (url, options) resolving with the page text
+    setPageBackend(fetchPage) {
+        this.pageScraper = new PageScraper(fetchPage);
+    }
+
+    // Load YouTube pages for scraping through a CORS proxy; without one they are requested directly
+    setScrapingProxy(proxyUrl) {
+        this.scrapingProxy = (proxyUrl || '').trim();
+        this.updatePageBackend();
+    }
+
+    // Set the card template drawn for videos without a real page capture
+    setCardTemplate(template) {
+        this.cardTemplate = CardTemplates.normalize(template);
+        this.cardLogo = null;
+    }
+
+    // Use the local helper service, when it is running, for pages and (if it can render them) screenshots
+    setHelper(helperUrl, screenshots) {
+        this.helperUrl = (helperUrl || '').trim();
+        this.helperScreenshots = !!this.helperUrl && !!screenshots;
+        this.updatePageBackend();
+    }
+
+    // Pick how scraping loads pages: the local helper first, then the CORS proxy, then directly
+    updatePageBackend() {
+        if (this.helperUrl) {
+            this.setPageBackend(PageScraper.createHelperBackend(this.helperUrl));
+        } else if (this.scrapingProxy) {
+            this.setPageBackend(PageScraper.createProxyBackend(this.scrapingProxy));
+        } else {
+            this.setPageBackend(PageScraper.directBackend);
+        }
+    }
+
+    // Country used to tell whether a region restriction applies, taken from the browser language;
+    // null when the language names no country ("en"), so no region is assumed
+    getDefaultRegion() {
+        const language = typeof navigator !== 'undefined' && navigator.language ? navigator.language : '';
+        const region = language.split('-')[1];
+        return region ? region.toUpperCase() : null;
+    }
+
+    // Checkpoint every processed video in the given job store
+    setJobStore(jobStore) {
+        this.jobStore = jobStore;
+    }
+
+    // Stop the running extraction; the videos processed so far are returned as a partial result
+    cancel() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        this.resume();
+    }
+
+    // Hold the running extraction before its next video
+    pause() {
+        this.paused = true;
+    }
+
+    // Let a paused extraction continue
+    resume() {
+        this.paused = false;
+        this.resumeWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    // Check whether the running extraction was cancelled
+    isCancelled() {
+        return !!this.abortController && this.abortController.signal.aborted;
+    }
+
+    // Stop the current step if the extraction was cancelled
+    throwIfCancelled() {
+        if (this.isCancelled()) {
+            const error = new Error('Extração cancelada.');
+            error.code = 'CANCELLED';
+            throw error;
+        }
+    }
+
+    // Wait while paused, then stop if the extraction was cancelled in the meantime
+    async waitIfPaused() {
+        while (this.paused) {
+            await new Promise(resolve => this.resumeWaiters.push(resolve));
+        }
+        this.throwIfCancelled();
+    }
+
+    // Options for every fetch, so cancelling also aborts requests in flight
+    getFetchOptions() {
+        return { signal: this.abortController ? this.abortController.signal : undefined };
+    }
+
+    // Count quota units spent by an API request
+    trackQuota(units) {
+        this.quotaUsed += units;
+    }
+
+    // Request a YouTube API URL and return its JSON, retrying rate limits, server errors and network failures
+    async apiGet(url, units = 1) {
+        const { attempts, baseDelay, maxDelay } = YouTubeExtractor.API_RETRY;
+        
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            try {
+                response = await fetch(url, this.getFetchOptions());
+            } catch (networkError) {
+                this.throwIfCancelled();
+                if (attempt >= attempts) {
+                    throw networkError;
+                }
+                await this.waitBeforeRetry(attempt, baseDelay, maxDelay, null);
+                continue;
+            }
+            
+            // Failed requests still count against the quota
+            this.trackQuota(units);
+            
+            if (response.ok) {
+                return response.json();
+            }
+            
+            const error = await this.createApiError(response);
+            const retryable = response.status === 429 || response.status >= 500 ||
+                error.reason === 'rateLimitExceeded' || error.reason === 'userRateLimitExceeded';
+            if (!retryable || attempt >= attempts) {
+                throw error;
+            }
+            
+            console.warn(`YouTube API request failed (${response.status} ${error.reason || ''}), retrying:`, url.replace(/key=[^&]+/, 'key=***'));
+            await this.waitBeforeRetry(attempt, baseDelay, maxDelay, response.headers.get('Retry-After'));
+        }
+    }
+
+    // Sleep before the next attempt with exponential backoff and full jitter, honouring Retry-After
+    async waitBeforeRetry(attempt, baseDelay, maxDelay, retryAfter) {
+        const backoff = Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+        const requested = parseInt(retryAfter, 10) * 1000;
+        const delay = requested > 0 ? Math.min(Math.max(backoff, requested), maxDelay) : backoff;
+        
+        const signal = this.abortController ? this.abortController.signal : null;
+        await new Promise(resolve => {
+            // Cancelling wakes the wait up instead of holding the run for the whole delay
+            const wake = () => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', wake);
+                }
+                resolve();
+            };
+            const timer = setTimeout(wake, delay);
+            if (signal) {
+                signal.addEventListener('abort', wake);
+            }
+        });
+        await this.waitIfPaused();
+    }
+
+    // Turn a failed API response into an error carrying YouTube's reason and a readable message
+    async createApiError(response) {
+        let details = {};
+        try {
+            details = (await response.json()).error || {};
+        } catch (parseError) {
+            // Gateways may answer with HTML; the status alone has to do
+        }
+        
+        const firstError = (details.errors || [])[0] || {};
+        // Newer responses put the precise reason (API_KEY_INVALID) in details instead of errors
+        const detailReason = ((details.details || []).find(detail => detail.reason) || {}).reason;
+        const reason = detailReason === 'API_KEY_INVALID' ? 'keyInvalid' : firstError.reason || detailReason || null;
+        const messages = YouTubeExtractor.API_ERROR_MESSAGES;
+        
+        const error = new Error(messages[reason] || `Erro da API do YouTube (${response.status}): ${details.message || response.statusText}`);
+        error.code = 'API_ERROR';
+        error.status = response.status;
+        error.reason = reason;
+        error.fatal = YouTubeExtractor.FATAL_API_REASONS.includes(reason);
+        return error;
+    }
+
     // Process playlist and extract data
-    async processPlaylist(playlistId, progressCallback) {
-        this.videos = [];
-        this.screenshots = [];
-        this.totalDuration = 0;
+    async processPlaylist(playlistId, onProgress) {
+        return this.processSources([{ type: 'playlist', id: playlistId, input: playlistId }], onProgress);
+    }
+
+    // Process resolved input sources (playlists, channels, videos) and extract data,
+    // optionally resuming an interrupted job and skipping the videos it already saved
+    async processSources(sources, onProgress, resumeJob = null) {
+        this.resetResults();
+        this.quotaUsed = 0;
+        this.method = null;
+        this.abortController = new AbortController();
+        this.paused = false;
+        
+        // Attach the running quota counter to every progress update
+        const progressCallback = update => onProgress({ ...update, quotaUsed: this.quotaUsed });
+        let groups = [];
         
         try {
-            // Try API first if key is provided
-            if (this.useApi) {
+            await this.startJob(sources, resumeJob);
+            
+            // Turn every source into a group of video IDs; a resumed job keeps the groups it resolved
+            if (resumeJob && resumeJob.groups) {
+                groups = resumeJob.groups;
+            } else {
+                groups = this.demoMode
+                    ? [this.getDemoGroup()]
+                    : await this.resolver.resolveAll(sources, progressCallback);
+                await this.updateJob({ groups, total: this.flattenGroups(groups).length });
+            }
+            
+            if (this.demoMode) {
+                // Demo mode never touches the network
+                this.method = 'demo';
+                await this.processGroupsWithDemoData(groups, progressCallback);
+            } else if (this.useApi) {
+                // Try API first if key is provided
                 try {
-                    await this.processPlaylistWithApi(playlistId, progressCallback);
+                    this.method = 'api';
+                    await this.processGroupsWithApi(groups, progressCallback);
                 } catch (apiError) {
+                    this.throwIfCancelled();
+                    // Scraping cannot get around an invalid key, an empty quota or a private playlist
+                    if (apiError.fatal) {
+                        throw apiError;
+                    }
                     console.warn('API extraction failed, falling back to scraping:', apiError);
-                    // If API fails, fall back to scraping
-                    await this.processPlaylistWithScraping(playlistId, progressCallback);
+                    // If API fails, fall back to scraping; videos the API already read keep their method
+                    this.resetResults();
+                    this.method = 'scraping';
+                    await this.processGroupsWithScraping(groups, progressCallback);
                 }
             } else {
                 // Use scraping if no API key
-                await this.processPlaylistWithScraping(playlistId, progressCallback);
+                this.method = 'scraping';
+                await this.processGroupsWithScraping(groups, progressCallback);
             }
             
-            return {
-                videos: this.videos,
-                screenshots: this.screenshots,
-                totalDuration: this.totalDuration
-            };
+            return await this.finishRun(groups, false);
         } catch (error) {
+            // A cancelled run keeps what it processed; its job stays resumable
+            if (this.isCancelled()) {
+                return this.finishRun(groups, true);
+            }
+            
             console.error('Error processing playlist:', error);
+            // A failed run would fail the same way on resume, so it is recorded instead of left running
+            await this.updateJob({ status: 'failed', error: error.message });
+            // Errors carrying a code are handled by the caller and keep their meaning
+            if (error.code) {
+                throw error;
+            }
             throw new Error('Falha ao processar a playlist. Verifique o link e tente novamente.');
+        } finally {
+            this.abortController = null;
+            this.resume();
         }
     }
 
-    // Process playlist using YouTube API
-    async processPlaylistWithApi(playlistId, progressCallback) {
-        if (!this.apiKey) {
-            throw new Error('API key is required for API extraction');
+    // Build the result of a run and record how it ended in its job
+    async finishRun(groups, partial) {
+        this.collectResults(this.flattenGroups(groups).length);
+        
+        const result = {
+            videos: this.videos,
+            screenshots: this.screenshots,
+            totalDuration: this.totalDuration,
+            quotaUsed: this.quotaUsed,
+            demo: this.demoMode,
+            method: this.getRunMethod(),
+            partial,
+            extractedAt: new Date().toISOString(),
+            groups: this.summarizeGroups(groups),
+            failures: this.getFailures(),
+            jobId: this.job ? this.job.id : null
+        };
+        
+        await this.updateJob({
+            status: partial ? 'cancelled' : 'done',
+            quotaUsed: result.quotaUsed,
+            method: result.method,
+            extractedAt: result.extractedAt,
+            videoCount: result.videos.length,
+            failures: result.failures
+        });
+        
+        return result;
+    }
+
+    // Method of the whole run; "mixed" when its videos were not all read the same way
+    getRunMethod() {
+        const methods = new Set(this.videos.map(video => video.extractionMethod).filter(method => method));
+        return methods.size > 1 ? 'mixed' : this.method;
+    }
+
+    // Describe each group without its entries, as shown in results and exports
+    summarizeGroups(groups) {
+        return groups.map(group => ({
+            type: group.type,
+            id: group.id,
+            input: group.input,
+            label: group.label,
+            playlistId: group.playlistId,
+            videoCount: group.items.length
+        }));
+    }
+
+    // Rebuild the result of a finished job from its checkpoints, without touching the network
+    async loadJobResult(jobId) {
+        const job = await this.jobStore.getJob(jobId);
+        if (!job) {
+            throw new Error('Esta extração não está mais no histórico.');
         }
         
-        // Update progress
-        progressCallback({
-            progress: 5,
-            status: 'Conectando à API do YouTube...',
-            processed: 0,
-            total: 0
+        const entries = await this.jobStore.getEntries(jobId);
+        const videos = entries.map(entry => entry.video);
+        
+        return {
+            videos,
+            screenshots: entries.map(entry => entry.screenshot).filter(screenshot => screenshot),
+            totalDuration: videos.reduce((total, video) => total + (video.durationSeconds || 0), 0),
+            quotaUsed: job.quotaUsed || 0,
+            demo: !!job.demo,
+            method: job.method,
+            partial: job.status !== 'done',
+            extractedAt: job.extractedAt,
+            groups: this.summarizeGroups(job.groups || []),
+            failures: job.failures || [],
+            jobId: job.id
+        };
+    }
+
+    // Clear results from a previous run
+    resetResults() {
+        this.videos = [];
+        this.screenshots = [];
+        this.totalDuration = 0;
+    }
+
+    // Create a job for this run, or load the entries already saved by the job being resumed
+    async startJob(sources, resumeJob) {
+        this.job = null;
+        this.completedEntries = new Map();
+        // Videos that failed before were never saved, so a resumed job simply tries them again
+        this.failures = new Map();
+        
+        if (!this.jobStore || !this.jobStore.isSupported()) {
+            return;
+        }
+        
+        try {
+            if (resumeJob) {
+                this.job = resumeJob;
+                const entries = await this.jobStore.getEntries(resumeJob.id);
+                entries.forEach(entry => this.completedEntries.set(entry.index, entry));
+                // A resumed job (interrupted, failed, or finished with failures to retry) is running again,
+                // so it is offered for resume if the tab closes before it ends
+                if (resumeJob.status !== 'running') {
+                    await this.updateJob({ status: 'running', error: null });
+                }
+            } else {
+                const labels = sources.map(source => source.input);
+                this.job = await this.jobStore.createJob({
+                    sources,
+                    label: this.demoMode ? 'Demonstração' : labels.join(', '),
+                    demo: this.demoMode,
+                    batchRequests: this.batchRequests
+                });
+            }
+        } catch (error) {
+            // Checkpointing is a safety net; the extraction itself can go on without it
+            console.warn('Could not start a checkpointed job:', error);
+            this.job = null;
+        }
+    }
+
+    // Save changes to the current job, if checkpointing is on
+    async updateJob(changes) {
+        if (!this.job) {
+            return;
+        }
+        
+        try {
+            await this.jobStore.updateJob(this.job.id, changes);
+        } catch (error) {
+            console.warn('Could not update the checkpointed job:', error);
+        }
+    }
+
+    // Record a video that could not be processed; the run goes on without it
+    async recordFailure(index, item, error) {
+        console.warn(`Could not process video ${item.videoId}:`, error);
+        this.failures.set(index, {
+            index,
+            videoId: item.videoId,
+            title: item.title || '',
+            position: item.position,
+            reason: error.message || String(error)
+        });
+        await this.updateJob({ failures: this.getFailures() });
+    }
+
+    // Failed videos of the current run, in playlist order
+    getFailures() {
+        return Array.from(this.failures.values()).sort((a, b) => a.index - b.index);
+    }
+
+    // Save a processed video so a resumed job can skip it
+    async checkpoint(index, video, screenshot) {
+        // Each video keeps the method that read it, since a run can fall back from the API to scraping
+        if (!video.extractionMethod) {
+            video.extractionMethod = this.method;
+        }
+        const entry = { index, video, screenshot: screenshot || null };
+        this.completedEntries.set(index, entry);
+        
+        if (!this.job) {
+            return;
+        }
+        
+        try {
+            await this.jobStore.saveEntry(this.job.id, index, video, screenshot);
+        } catch (error) {
+            console.warn(`Could not checkpoint video ${video.videoId}:`, error);
+        }
+    }
+
+    // Rebuild the results in playlist order from every video processed so far, including earlier attempts
+    collectResults(totalItems) {
+        this.resetResults();
+        
+        for (let index = 0; index < totalItems; index++) {
+            const entry = this.completedEntries.get(index);
+            if (!entry) {
+                continue;
+            }
+            
+            this.videos.push(entry.video);
+            if (entry.screenshot) {
+                this.screenshots.push(entry.screenshot);
+            }
+            this.totalDuration += entry.video.durationSeconds || 0;
+        }
+    }
+
+    // Run a handler for every video not processed yet, at most `concurrency` at a time.
+    // The handler checkpoints its video and returns a title for the progress display.
+    async runPool(items, progressCallback, [fromPercent, toPercent], statusLabel, handler) {
+        const totalItems = items.length;
+        const pending = items.map((item, index) => index).filter(index => !this.completedEntries.has(index));
+        const alreadyDone = totalItems - pending.length;
+        const startedAt = Date.now();
+        let next = 0;
+        let done = 0;
+        let active = 0;
+        let failure = null;
+        
+        const report = currentVideo => {
+            const processed = alreadyDone + done;
+            
+            // Average wall-clock time per video so far already accounts for the parallel work
+            const eta = done > 0 ? Math.round(((Date.now() - startedAt) / done) * (pending.length - done) / 1000) : null;
+            
+            progressCallback({
+                progress: fromPercent + Math.floor((processed / totalItems) * (toPercent - fromPercent)),
+                status: `${statusLabel}: ${processed} de ${totalItems}${active > 1 ? ` (${active} em paralelo)` : ''}...`,
+                processed,
+                total: totalItems,
+                currentVideo,
+                eta
+            });
+        };
+        
+        const worker = async () => {
+            while (next < pending.length && !failure) {
+                const index = pending[next++];
+                const item = items[index];
+                active++;
+                try {
+                    await this.waitIfPaused();
+                    report(item.title || item.videoId);
+                    const title = await handler(item, index);
+                    done++;
+                    active--;
+                    report(title);
+                } catch (error) {
+                    active--;
+                    if (this.isCancelled() || error.fatal) {
+                        // Cancelling, or an error every other video would hit too, stops the other workers
+                        failure = failure || error;
+                    } else {
+                        await this.recordFailure(index, item, error);
+                        done++;
+                        report(null);
+                    }
+                }
+            }
+        };
+        
+        const workerCount = Math.min(this.concurrency, pending.length);
+        await Promise.all(Array.from({ length: workerCount }, worker));
+        
+        if (failure) {
+            throw failure;
+        }
+    }
+
+    // Batched API data for a video; the first worker to need it requests up to 50 pending videos at once
+    getVideoBatch(items, index, batches) {
+        const videoId = items[index].videoId;
+        
+        if (!batches.has(videoId)) {
+            const batchIds = items.slice(index)
+                .filter((item, offset) => !this.completedEntries.has(index + offset) && !batches.has(item.videoId))
+                .slice(0, 50)
+                .map(item => item.videoId);
+            const request = this.fetchVideosBatch(batchIds);
+            // Workers that stop early never await their batch; their failure is reported elsewhere
+            request.catch(() => {});
+            batchIds.forEach(id => batches.set(id, request));
+        }
+        
+        return batches.get(videoId);
+    }
+
+    // Flatten groups into a single list of entries tagged with their source
+    flattenGroups(groups) {
+        const entries = [];
+        groups.forEach((group, sourceIndex) => {
+            group.items.forEach(item => entries.push({ ...item, sourceIndex }));
         });
+        return entries;
+    }
+
+    // Process resolved groups using YouTube API
+    async processGroupsWithApi(groups, progressCallback) {
+        if (!this.apiKey) {
+            throw new Error('API key is required for API extraction');
+        }
         
-        // Get playlist items
-        const playlistResponse = await this.fetchPlaylistItems(playlistId);
-        const items = playlistResponse.items || [];
+        const items = this.flattenGroups(groups);
         const totalItems = items.length;
         
         if (totalItems === 0) {
@@ -72,58 +676,54 @@ class YouTubeExtractor {
         // Update progress
         progressCallback({
             progress: 10,
-            status: `Encontrados ${totalItems} vídeos na playlist.`,
+            status: `Encontrados ${totalItems} vídeos.`,
             processed: 0,
             total: totalItems
         });
         
-        // Process each video
-        for (let i = 0; i < items.length; i++) {
-            const item = items[i];
-            const videoId = item.snippet.resourceId.videoId;
-            const title = item.snippet.title;
-            
-            // Update progress
-            progressCallback({
-                progress: 10 + Math.floor((i / totalItems) * 80),
-                status: `Processando vídeo ${i + 1} de ${totalItems}...`,
-                processed: i,
-                total: totalItems,
-                currentVideo: title
-            });
-            
-            // Get video details
-            const videoDetails = await this.fetchVideoDetails(videoId);
-            
-            // Get video statistics
-            const videoStats = await this.fetchVideoStatistics(videoId);
-            
-            // Calculate duration in seconds
-            const duration = this.parseDuration(videoDetails.contentDetails.duration);
-            const durationFormatted = this.formatDuration(duration);
+        // Batched video requests, shared by the workers and keyed by video ID
+        const batches = new Map();
+        // Category name lookups, shared by the workers and keyed by category ID
+        const categoryNames = new Map();
+        
+        await this.runPool(items, progressCallback, [10, 90], 'Processando vídeos', async (item, index) => {
+            const videoId = item.videoId;
+            let videoDetails;
+            let videoStats;
             
-            // Take screenshot
-            const screenshot = await this.captureVideoScreenshot(videoId, title);
+            if (this.batchRequests) {
+                // Details and statistics for up to 50 videos come in one request
+                const batch = await this.getVideoBatch(items, index, batches);
+                videoDetails = batch[videoId];
+                videoStats = batch[videoId];
+                // The whole batch's new categories are looked up together
+                this.requestCategoryNames(Object.values(batch), categoryNames);
+            } else {
+                [videoDetails, videoStats] = await Promise.all([
+                    this.fetchVideoDetails(videoId),
+                    this.fetchVideoStatistics(videoId)
+                ]);
+            }
             
-            // Add video data
-            this.videos.push({
-                videoId,
-                title,
-                duration: durationFormatted,
-                views: parseInt(videoStats.statistics.viewCount, 10),
-                likes: parseInt(videoStats.statistics.likeCount || '0', 10),
-                publishedDate: videoDetails.snippet.publishedAt,
-                durationSeconds: duration
-            });
+            const video = this.buildApiVideoRecord(item, videoDetails, videoStats);
             
-            // Add screenshot
-            if (screenshot) {
-                this.screenshots.push(screenshot);
+            // The evidence card shows the category, so its name must be known before the capture
+            if (video.categoryId) {
+                this.requestCategoryNames([videoDetails], categoryNames);
+                video.categoryName = await categoryNames.get(video.categoryId);
             }
             
-            // Add to total duration
-            this.totalDuration += duration;
-        }
+            // Deleted and private entries have no thumbnail or data to capture; they are exported with their status only
+            const screenshot = videoDetails
+                ? await this.captureVideoScreenshot(video)
+                : null;
+            this.throwIfCancelled();
+            
+            await this.checkpoint(index, video, screenshot);
+            return video.title || videoId;
+        });
+        
+        this.collectResults(totalItems);
         
         // Update progress
         progressCallback({
@@ -142,84 +742,185 @@ class YouTubeExtractor {
         });
     }
 
-    // Process playlist using web scraping
-    async processPlaylistWithScraping(playlistId, progressCallback) {
+    // Read a playlist's title and videos from its page, following continuation pages
+    async scrapePlaylist(playlistId, progressCallback) {
+        return this.pageScraper.fetchPlaylist(playlistId, this.getFetchOptions(), async count => {
+            await this.waitIfPaused();
+            progressCallback({
+                progress: 5,
+                status: `Obtendo lista de vídeos: ${count} encontrados...`,
+                processed: 0,
+                total: 0
+            });
+        });
+    }
+
+    // Read a channel's ID and name from its handle, custom URL or username page
+    async scrapeChannel(source) {
+        return this.pageScraper.fetchChannel(source, this.getFetchOptions());
+    }
+
+    // Build the video record from the API's snippet, contentDetails, statistics and liveStreamingDetails
+    buildApiVideoRecord(item, videoDetails, videoStats) {
+        const snippet = (videoDetails && videoDetails.snippet) || {};
+        const contentDetails = (videoDetails && videoDetails.contentDetails) || {};
+        const liveStreamingDetails = (videoDetails && videoDetails.liveStreamingDetails) || null;
+        const statistics = (videoStats && videoStats.statistics) || {};
+        
+        const title = item.title || snippet.title || null;
+        
+        // Calculate duration in seconds
+        const duration = contentDetails.duration ? this.parseDuration(contentDetails.duration) : null;
+        const durationFormatted = duration !== null ? this.formatDuration(duration) : null;
+        
+        // Hidden counters are absent from the response, not zero
+        const views = this.parseCounter(statistics.viewCount);
+        const likes = this.parseCounter(statistics.likeCount);
+        const publishedDate = snippet.publishedAt || null;
+        
+        return {
+            videoId: item.videoId,
+            title,
+            duration: durationFormatted,
+            views,
+            likes,
+            publishedDate,
+            durationSeconds: duration,
+            position: item.position,
+            sourceIndex: item.sourceIndex,
+            channelTitle: snippet.channelTitle || null,
+            channelId: snippet.channelId || null,
+            description: snippet.description || null,
+            tags: snippet.tags || null,
+            categoryId: snippet.categoryId || null,
+            categoryName: null,
+            commentCount: this.parseCounter(statistics.commentCount),
+            favoriteCount: this.parseCounter(statistics.favoriteCount),
+            definition: contentDetails.definition ? contentDetails.definition.toUpperCase() : null,
+            hasCaptions: contentDetails.caption !== undefined ? contentDetails.caption === 'true' : null,
+            licensedContent: contentDetails.licensedContent !== undefined ? contentDetails.licensedContent : null,
+            defaultLanguage: snippet.defaultLanguage || snippet.defaultAudioLanguage || null,
+            liveBroadcastContent: snippet.liveBroadcastContent || null,
+            liveStreaming: liveStreamingDetails ? {
+                scheduledStartTime: liveStreamingDetails.scheduledStartTime || null,
+                actualStartTime: liveStreamingDetails.actualStartTime || null,
+                actualEndTime: liveStreamingDetails.actualEndTime || null,
+                concurrentViewers: this.parseCounter(liveStreamingDetails.concurrentViewers)
+            } : null,
+            thumbnails: this.getThumbnailUrls(snippet.thumbnails),
+            thumbnailUrl: this.getBestThumbnailUrl(snippet.thumbnails),
+            availability: this.classifyApiVideo(item, videoDetails),
+            fieldStatus: this.buildFieldStatus({ title, duration, views, likes, publishedDate }, false)
+        };
+    }
+
+    // Classify an entry as available, deleted, private, region-blocked or age-restricted from its API data.
+    // Deleted and private entries are listed in the playlist but missing from the videos response;
+    // members-only videos are not flagged by the API and are only told apart when scraping
+    classifyApiVideo(item, videoDetails) {
+        if (!videoDetails) {
+            if (item.privacyStatus === 'private' || /^private video$/i.test(item.title || '')) {
+                return 'private';
+            }
+            if (item.privacyStatus === 'privacyStatusUnspecified' || /^deleted video$/i.test(item.title || '')) {
+                return 'deleted';
+            }
+            return 'unavailable';
+        }
+        
+        const contentDetails = videoDetails.contentDetails || {};
+        const restriction = contentDetails.regionRestriction;
+        if (this.region && restriction && ((restriction.blocked || []).includes(this.region) ||
+            (restriction.allowed && !restriction.allowed.includes(this.region)))) {
+            return 'regionBlocked';
+        }
+        if (contentDetails.contentRating && contentDetails.contentRating.ytRating === 'ytAgeRestricted') {
+            return 'ageRestricted';
+        }
+        return 'available';
+    }
+
+    // Classify a watch page from the playability status in its player response
+    classifyPlayability(status, reason) {
+        const text = (reason || '').toLowerCase();
+        // Scheduled premieres and streams are playable later, not unavailable
+        if (!status || status === 'OK' || status === 'LIVE_STREAM_OFFLINE') {
+            return 'available';
+        }
+        if (/member|membro/.test(text)) {
+            return 'membersOnly';
+        }
+        if (status === 'AGE_CHECK_REQUIRED' || status === 'AGE_VERIFICATION_REQUIRED' || /\bage\b|idade/.test(text)) {
+            return 'ageRestricted';
+        }
+        if (/private|privado/.test(text)) {
+            return 'private';
+        }
+        if (/country|país|region|região/.test(text)) {
+            return 'regionBlocked';
+        }
+        if (status === 'ERROR' || /removed|removido|no longer|não está mais/.test(text)) {
+            return 'deleted';
+        }
+        return 'unavailable';
+    }
+
+    // Parse a numeric API counter, keeping absent counters as null
+    parseCounter(value) {
+        return value !== undefined && value !== null ? parseInt(value, 10) : null;
+    }
+
+    // Map every thumbnail size the API returned to its URL
+    getThumbnailUrls(thumbnails) {
+        if (!thumbnails) {
+            return null;
+        }
+        const urls = {};
+        Object.keys(thumbnails).forEach(size => {
+            urls[size] = thumbnails[size].url;
+        });
+        return urls;
+    }
+
+    // Look up the names of categories not requested yet in one call; each ID maps to a promise of its name
+    requestCategoryNames(videoResources, categoryNames) {
+        const categoryIds = [...new Set(videoResources
+            .map(resource => resource && resource.snippet && resource.snippet.categoryId)
+            .filter(id => id && !categoryNames.has(id)))];
+        if (categoryIds.length === 0) {
+            return;
+        }
+        
+        const request = this.fetchVideoCategories(categoryIds).catch(error => {
+            // Category names are a nice-to-have; the IDs stay in the record
+            console.warn('Could not fetch category names:', error);
+            return {};
+        });
+        categoryIds.forEach(id => categoryNames.set(id, request.then(names => names[id] || null)));
+    }
+
+    // Pick the largest thumbnail the API returned
+    getBestThumbnailUrl(thumbnails) {
+        if (!thumbnails) {
+            return null;
+        }
+        const best = ['maxres', 'standard', 'high', 'medium', 'default'].find(size => thumbnails[size]);
+        return best ? thumbnails[best].url : null;
+    }
+
+    // Process resolved groups using web scraping
+    async processGroupsWithScraping(groups, progressCallback) {
         // Update progress
         progressCallback({
-            progress: 5,
+            progress: 10,
             status: 'Iniciando extração via web scraping...',
             processed: 0,
             total: 0
         });
         
         try {
-            // Create a hidden iframe to load the playlist
-            const iframe = document.createElement('iframe');
-            iframe.style.display = 'none';
-            document.body.appendChild(iframe);
-            
-            // Load the playlist page
-            const playlistUrl = `https://www.youtube.com/playlist?list=${playlistId}`;
-            iframe.src = playlistUrl;
-            
-            // Wait for iframe to load
-            await new Promise(resolve => {
-                iframe.onload = resolve;
-                // Timeout after 10 seconds
-                setTimeout(resolve, 10000);
-            });
-            
-            // Update progress
-            progressCallback({
-                progress: 10,
-                status: 'Analisando página da playlist...',
-                processed: 0,
-                total: 0
-            });
-            
-            // Extract video IDs from the playlist page
-            let videoIds = [];
-            try {
-                const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
-                const videoElements = iframeDoc.querySelectorAll('a.yt-simple-endpoint.style-scope.ytd-playlist-video-renderer');
-                
-                videoElements.forEach(element => {
-                    const href = element.getAttribute('href') || '';
-                    const match = href.match(/watch\?v=([^&]+)/);
-                    if (match && match[1]) {
-                        videoIds.push(match[1]);
-                    }
-                });
-                
-                // If no videos found, try alternative method
-                if (videoIds.length === 0) {
-                    const scriptElements = iframeDoc.querySelectorAll('script');
-                    for (let script of scriptElements) {
-                        const content = script.textContent || '';
-                        const matches = content.match(/"videoId":"([^"]+)"/g);
-                        if (matches) {
-                            matches.forEach(match => {
-                                const videoId = match.match(/"videoId":"([^"]+)"/)[1];
-                                if (videoId && !videoIds.includes(videoId)) {
-                                    videoIds.push(videoId);
-                                }
-                            });
-                        }
-                    }
-                }
-            } catch (error) {
-                console.error('Error extracting video IDs:', error);
-            }
-            
-            // If still no videos, use demo data
-            if (videoIds.length === 0) {
-                videoIds = this.getDemoVideoIds();
-            }
-            
-            // Remove iframe
-            document.body.removeChild(iframe);
-            
-            const totalItems = videoIds.length;
+            const items = this.flattenGroups(groups);
+            const totalItems = items.length;
             
             if (totalItems === 0) {
                 throw new Error('Nenhum vídeo encontrado na playlist.');
@@ -228,53 +929,46 @@ class YouTubeExtractor {
             // Update progress
             progressCallback({
                 progress: 15,
-                status: `Encontrados ${totalItems} vídeos na playlist.`,
+                status: `Encontrados ${totalItems} vídeos.`,
                 processed: 0,
                 total: totalItems
             });
             
-            // Process each video
-            for (let i = 0; i < videoIds.length; i++) {
-                const videoId = videoIds[i];
-                
-                // Update progress
-                progressCallback({
-                    progress: 15 + Math.floor((i / totalItems) * 80),
-                    status: `Processando vídeo ${i + 1} de ${totalItems}...`,
-                    processed: i,
-                    total: totalItems,
-                    currentVideo: `Vídeo ${i + 1}`
-                });
+            await this.runPool(items, progressCallback, [15, 95], 'Processando vídeos', async (item, index) => {
+                const videoId = item.videoId;
                 
                 // Get video details via scraping
                 const videoDetails = await this.scrapeVideoDetails(videoId);
                 
-                // Calculate duration in seconds
-                const duration = videoDetails.durationSeconds || 0;
-                const durationFormatted = videoDetails.duration || '0:00';
-                
-                // Take screenshot with expanded description to show all metadata
-                const screenshot = await this.captureVideoScreenshotWithExpandedDescription(videoId, videoDetails.title);
-                
-                // Add video data
-                this.videos.push({
+                const video = {
                     videoId,
                     title: videoDetails.title,
-                    duration: durationFormatted,
+                    duration: videoDetails.duration,
                     views: videoDetails.views,
                     likes: videoDetails.likes,
                     publishedDate: videoDetails.publishedDate,
-                    durationSeconds: duration
-                });
+                    durationSeconds: videoDetails.durationSeconds,
+                    position: item.position,
+                    sourceIndex: item.sourceIndex,
+                    channelTitle: videoDetails.channelTitle,
+                    channelId: videoDetails.channelId,
+                    description: videoDetails.description,
+                    tags: videoDetails.tags,
+                    categoryName: videoDetails.categoryName,
+                    thumbnailUrl: videoDetails.thumbnailUrl,
+                    availability: videoDetails.availability,
+                    fieldStatus: videoDetails.fieldStatus
+                };
                 
-                // Add screenshot
-                if (screenshot) {
-                    this.screenshots.push(screenshot);
-                }
+                // Take screenshot with expanded description to show all metadata
+                const screenshot = await this.captureVideoScreenshotWithExpandedDescription(video);
+                this.throwIfCancelled();
                 
-                // Add to total duration
-                this.totalDuration += duration;
-            }
+                await this.checkpoint(index, video, screenshot);
+                return video.title || videoId;
+            });
+            
+            this.collectResults(totalItems);
             
             // Update progress
             progressCallback({
@@ -292,221 +986,307 @@ class YouTubeExtractor {
                 total: totalItems
             });
         } catch (error) {
+            this.throwIfCancelled();
             console.error('Error in scraping process:', error);
+            // Coded errors (an unreachable page backend) already explain what to do
+            if (error.code) {
+                throw error;
+            }
             throw new Error('Falha na extração via web scraping. ' + error.message);
         }
     }
 
-    // Fetch playlist items from YouTube API
-    async fetchPlaylistItems(playlistId) {
-        const url = `https://www.googleapis.com/youtube/v3/playlistItems?part=snippet&maxResults=50&playlistId=${playlistId}&key=${this.apiKey}`;
-        const response = await fetch(url);
+    // Process the built-in demo group without any network access
+    async processGroupsWithDemoData(groups, progressCallback) {
+        const items = this.flattenGroups(groups);
+        const totalItems = items.length;
         
-        if (!response.ok) {
-            throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-        }
+        await this.runPool(items, progressCallback, [10, 95], 'Gerando vídeos de demonstração', async (item, index) => {
+            const demoData = this.getDemoVideoData(item.videoId);
+            const video = {
+                videoId: item.videoId,
+                ...demoData,
+                position: item.position,
+                sourceIndex: item.sourceIndex,
+                fieldStatus: this.buildFieldStatus({ ...demoData, duration: demoData.durationSeconds }, false)
+            };
+            
+            const screenshot = await this.captureVideoScreenshotWithExpandedDescription(video);
+            this.throwIfCancelled();
+            
+            await this.checkpoint(index, video, screenshot);
+            return demoData.title;
+        });
+        
+        this.collectResults(totalItems);
         
-        return await response.json();
+        // Final progress update
+        progressCallback({
+            progress: 100,
+            status: 'Demonstração concluída!',
+            processed: totalItems,
+            total: totalItems
+        });
     }
 
-    // Fetch video details from YouTube API
-    async fetchVideoDetails(videoId) {
-        const url = `https://www.googleapis.com/youtube/v3/videos?part=snippet,contentDetails&id=${videoId}&key=${this.apiKey}`;
-        const response = await fetch(url);
+    // Fetch every page of playlist items from YouTube API
+    async fetchAllPlaylistItems(playlistId, progressCallback) {
+        const items = [];
+        let pageToken = '';
+        let page = 0;
+        let totalResults = 0;
         
-        if (!response.ok) {
-            throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-        }
+        do {
+            await this.waitIfPaused();
+            const playlistResponse = await this.fetchPlaylistItems(playlistId, pageToken);
+            page++;
+            
+            items.push(...(playlistResponse.items || []));
+            pageToken = playlistResponse.nextPageToken || '';
+            
+            if (playlistResponse.pageInfo) {
+                totalResults = playlistResponse.pageInfo.totalResults || totalResults;
+            }
+            
+            const totalPages = Math.max(page, Math.ceil(totalResults / 50));
+            
+            // Update progress
+            progressCallback({
+                progress: 5 + Math.floor((page / totalPages) * 5),
+                status: `Obtendo lista de vídeos: página ${page} de ${totalPages}...`,
+                processed: 0,
+                total: totalResults
+            });
+        } while (pageToken);
         
-        const data = await response.json();
-        return data.items[0];
+        return items;
     }
 
-    // Fetch video statistics from YouTube API
-    async fetchVideoStatistics(videoId) {
-        const url = `https://www.googleapis.com/youtube/v3/videos?part=statistics&id=${videoId}&key=${this.apiKey}`;
-        const response = await fetch(url);
+    // Fetch one page of playlist items from YouTube API
+    async fetchPlaylistItems(playlistId, pageToken = '') {
+        let url = `https://www.googleapis.com/youtube/v3/playlistItems?part=snippet,status&maxResults=50&playlistId=${playlistId}&key=${this.apiKey}`;
+        if (pageToken) {
+            url += `&pageToken=${pageToken}`;
+        }
+        return this.apiGet(url);
+    }
+
+    // Fetch playlist title and channel from YouTube API
+    async fetchPlaylistInfo(playlistId) {
+        const url = `https://www.googleapis.com/youtube/v3/playlists?part=snippet&id=${playlistId}&key=${this.apiKey}`;
+        const data = await this.apiGet(url);
+        return (data.items || [])[0] || null;
+    }
+
+    // Fetch a channel by ID, handle, legacy username or custom URL name
+    async fetchChannel(source) {
+        let channelId = source.id;
+        
+        // Custom /c/ URLs cannot be looked up directly, so search for the channel first
+        if (source.type === 'customUrl') {
+            const searchUrl = `https://www.googleapis.com/youtube/v3/search?part=snippet&type=channel&maxResults=1&q=${encodeURIComponent(source.id)}&key=${this.apiKey}`;
+            const searchData = await this.apiGet(searchUrl, 100);
+            const result = (searchData.items || [])[0];
+            if (!result) {
+                return null;
+            }
+            channelId = result.snippet.channelId;
+        }
         
-        if (!response.ok) {
-            throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        let filter;
+        if (source.type === 'handle') {
+            filter = `forHandle=${encodeURIComponent(source.id)}`;
+        } else if (source.type === 'username') {
+            filter = `forUsername=${encodeURIComponent(source.id)}`;
+        } else {
+            filter = `id=${channelId}`;
         }
         
-        const data = await response.json();
-        return data.items[0];
+        const url = `https://www.googleapis.com/youtube/v3/channels?part=snippet,contentDetails&${filter}&key=${this.apiKey}`;
+        const data = await this.apiGet(url);
+        return (data.items || [])[0] || null;
     }
 
-    // Scrape video details using web scraping
-    async scrapeVideoDetails(videoId) {
-        // Create a hidden iframe to load the video page
-        const iframe = document.createElement('iframe');
-        iframe.style.display = 'none';
-        document.body.appendChild(iframe);
+    // Fetch snippet, content details and statistics for up to 50 videos in one request
+    async fetchVideosBatch(videoIds) {
+        return this.fetchVideoParts(videoIds, ['snippet', 'contentDetails', 'statistics', 'liveStreamingDetails']);
+    }
+
+    // Fetch parts of up to 50 video resources by ID, reusing fresh cached parts and requesting only what is missing
+    async fetchVideoParts(videoIds, parts) {
+        const cached = await this.readCachedVideoParts(videoIds, parts);
+        const missingParts = parts.filter(part => videoIds.some(id => !(part in cached[id])));
+        const missingIds = videoIds.filter(id => parts.some(part => !(part in cached[id])));
         
-        // Load the video page
-        const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
-        iframe.src = videoUrl;
+        if (missingIds.length > 0) {
+            const url = `https://www.googleapis.com/youtube/v3/videos?part=${missingParts.join(',')}&maxResults=50&id=${missingIds.join(',')}&key=${this.apiKey}`;
+            const data = await this.apiGet(url);
+            const fetched = {};
+            (data.items || []).forEach(item => {
+                // Parts the API leaves out (liveStreamingDetails of regular videos) are cached as absent
+                missingParts.forEach(part => {
+                    cached[item.id][part] = item[part] || null;
+                    fetched[`videos:${part}:${item.id}`] = cached[item.id][part];
+                });
+            });
+            await this.writeCachedVideoParts(fetched);
+            
+            // Deleted and private videos are missing from the response and are never cached
+            const returned = new Set((data.items || []).map(item => item.id));
+            missingIds.filter(id => !returned.has(id)).forEach(id => {
+                cached[id] = null;
+            });
+        }
         
-        // Wait for iframe to load
-        await new Promise(resolve => {
-            iframe.onload = resolve;
-            // Timeout after 10 seconds
-            setTimeout(resolve, 10000);
+        const byId = {};
+        videoIds.forEach(id => {
+            if (cached[id]) {
+                byId[id] = { id };
+                parts.filter(part => cached[id][part]).forEach(part => {
+                    byId[id][part] = cached[id][part];
+                });
+            }
         });
-        
-        // Extract video details
-        let title = 'Vídeo do YouTube';
-        let views = 0;
-        let likes = 0;
-        let duration = '0:00';
-        let durationSeconds = 0;
-        let publishedDate = new Date().toISOString();
+        return byId;
+    }
+
+    // Fresh cached parts of each video, keyed by video ID then part; empty when caching is off or bypassed
+    async readCachedVideoParts(videoIds, parts) {
+        const cached = {};
+        videoIds.forEach(id => {
+            cached[id] = {};
+        });
+        if (!this.responseCache || !this.responseCache.isSupported() || this.forceRefresh) {
+            return cached;
+        }
         
         try {
-            const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
-            
-            // Extract title
-            const titleElement = iframeDoc.querySelector('h1.title');
-            if (titleElement) {
-                title = titleElement.textContent.trim();
-            }
-            
-            // Extract views
-            const viewsElement = iframeDoc.querySelector('span.view-count');
-            if (viewsElement) {
-                const viewsText = viewsElement.textContent.trim();
-                views = parseInt(viewsText.replace(/\D/g, ''), 10) || 0;
-            }
-            
-            // Extract likes
-            const likesElement = iframeDoc.querySelector('button[aria-label*="like this video along with"] yt-formatted-string');
-            if (likesElement) {
-                const likesText = likesElement.textContent.trim();
-                likes = this.parseCount(likesText) || 0;
-            }
-            
-            // Extract duration
-            const durationElement = iframeDoc.querySelector('.ytp-time-duration');
-            if (durationElement) {
-                duration = durationElement.textContent.trim();
-                durationSeconds = this.parseDurationString(duration);
-            }
-            
-            // Extract published date
-            const dateElement = iframeDoc.querySelector('#info-strings yt-formatted-string');
-            if (dateElement) {
-                const dateText = dateElement.textContent.trim();
-                publishedDate = this.parsePublishedDate(dateText);
+            for (const part of parts) {
+                const values = await this.responseCache.getFresh(videoIds.map(id => `videos:${part}:${id}`), YouTubeExtractor.VIDEO_PART_LIFETIMES[part]);
+                videoIds.forEach(id => {
+                    const key = `videos:${part}:${id}`;
+                    if (key in values) {
+                        cached[id][part] = values[key];
+                    }
+                });
             }
         } catch (error) {
-            console.error('Error extracting video details:', error);
+            // The cache only saves requests; the API still has the data
+            console.warn('Could not read the response cache:', error);
         }
-        
-        // If scraping fails, use demo data
-        if (!title || title === 'Vídeo do YouTube') {
-            const demoData = this.getDemoVideoData(videoId);
-            title = demoData.title;
-            views = demoData.views;
-            likes = demoData.likes;
-            duration = demoData.duration;
-            durationSeconds = demoData.durationSeconds;
-            publishedDate = demoData.publishedDate;
+        return cached;
+    }
+
+    // Save fetched video parts in the cache, if caching is on
+    async writeCachedVideoParts(values) {
+        if (!this.responseCache || !this.responseCache.isSupported() || Object.keys(values).length === 0) {
+            return;
         }
         
-        // Remove iframe
-        document.body.removeChild(iframe);
+        try {
+            await this.responseCache.putMany(values);
+        } catch (error) {
+            console.warn('Could not update the response cache:', error);
+        }
+    }
+
+    // Fetch localized names for video category IDs
+    async fetchVideoCategories(categoryIds) {
+        const url = `https://www.googleapis.com/youtube/v3/videoCategories?part=snippet&hl=pt_BR&id=${categoryIds.join(',')}&key=${this.apiKey}`;
+        const data = await this.apiGet(url);
+        const names = {};
+        (data.items || []).forEach(item => {
+            names[item.id] = item.snippet.title;
+        });
+        return names;
+    }
+
+    // Fetch video details from YouTube API
+    async fetchVideoDetails(videoId) {
+        const byId = await this.fetchVideoParts([videoId], ['snippet', 'contentDetails', 'liveStreamingDetails']);
+        return byId[videoId] || null;
+    }
+
+    // Fetch video statistics from YouTube API
+    async fetchVideoStatistics(videoId) {
+        const byId = await this.fetchVideoParts([videoId], ['statistics']);
+        return byId[videoId] || null;
+    }
+
+    // Read a video's data from its watch page; anything not found stays null
+    async scrapeVideoDetails(videoId) {
+        const page = await this.pageScraper.fetchVideo(videoId, this.getFetchOptions());
+        const durationSeconds = page.lengthSeconds;
+        const publishedDate = LocaleParser.parseDate(page.publishDate);
+        const values = { title: page.title, views: page.viewCount, likes: page.likeCount, duration: durationSeconds, publishedDate };
         
         return {
-            title,
-            views,
-            likes,
-            duration,
+            title: page.title,
+            views: page.viewCount,
+            likes: page.likeCount,
+            duration: durationSeconds !== null ? this.formatDuration(durationSeconds) : null,
             durationSeconds,
-            publishedDate
+            publishedDate,
+            channelTitle: page.channelTitle,
+            channelId: page.channelId,
+            description: page.description,
+            tags: page.tags,
+            categoryName: page.category,
+            thumbnailUrl: page.thumbnailUrl,
+            availability: this.classifyPlayability(page.playabilityStatus, page.playabilityReason),
+            // A page without a player response could not be read at all
+            fieldStatus: this.buildFieldStatus(values, !page.found && !page.playabilityStatus)
         };
     }
 
-    // Capture screenshot of video with expanded description to show all metadata
-    async captureVideoScreenshotWithExpandedDescription(videoId, title) {
+    // Status of each exported field: ok, missing (not found) or failed (could not be read)
+    buildFieldStatus(values, failed) {
+        const fieldStatus = {};
+        YouTubeExtractor.TRACKED_FIELDS.forEach(field => {
+            if (values[field] !== null && values[field] !== undefined) {
+                fieldStatus[field] = 'ok';
+            } else {
+                fieldStatus[field] = failed ? 'failed' : 'missing';
+            }
+        });
+        return fieldStatus;
+    }
+
+    // Capture the evidence image of a video from its resolved record, so it shows exactly the exported values
+    async captureVideoScreenshotWithExpandedDescription(video) {
+        const capturedAt = new Date().toISOString();
+        // The local helper renders the real watch page; otherwise a stand-in is drawn from the thumbnail
+        const pageImage = this.helperScreenshots && !this.demoMode ? await this.captureWithHelper(video.videoId) : null;
+        
         try {
-            // In a real implementation, this would use a headless browser to capture
-            // a screenshot of the video page with the description expanded
-            
-            // For this demo, we'll create a canvas with the video thumbnail
-            // and add metadata text to simulate a screenshot
-            
-            const canvas = document.createElement('canvas');
-            canvas.width = 1280;
-            canvas.height = 720;
-            
+            const width = pageImage ? 1280 : this.cardTemplate.width;
+            const contentHeight = pageImage ? Math.round(pageImage.height * width / pageImage.width) : this.cardTemplate.height;
+            const canvas = this.createCanvas(width, contentHeight + YouTubeExtractor.CAPTURE_FOOTER_HEIGHT);
             const ctx = canvas.getContext('2d');
             
             // Fill background
             ctx.fillStyle = '#ffffff';
             ctx.fillRect(0, 0, canvas.width, canvas.height);
             
-            // Load thumbnail image
-            const thumbnailUrl = `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
-            const img = new Image();
-            
-            // Wait for image to load
-            await new Promise((resolve, reject) => {
-                img.onload = resolve;
-                img.onerror = reject;
-                img.crossOrigin = 'Anonymous';
-                img.src = thumbnailUrl;
-            }).catch(() => {
-                // If maxresdefault fails, try hqdefault
-                img.src = `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`;
-                return new Promise((resolve, reject) => {
-                    img.onload = resolve;
-                    img.onerror = reject;
-                });
-            }).catch(() => {
-                // If all thumbnails fail, use a placeholder
-                ctx.fillStyle = '#000000';
-                ctx.fillRect(0, 0, canvas.width, canvas.height);
-                ctx.fillStyle = '#ffffff';
-                ctx.font = '24px Arial';
-                ctx.fillText('Thumbnail não disponível', 20, 50);
-            });
-            
-            // Draw thumbnail if loaded
-            if (img.complete && img.naturalHeight !== 0) {
-                ctx.drawImage(img, 0, 0, canvas.width, canvas.height * 0.6);
+            if (pageImage) {
+                ctx.drawImage(pageImage, 0, 0, width, contentHeight);
+            } else {
+                await this.drawVideoCard(ctx, video);
             }
+            this.drawCaptureFooter(ctx, video, capturedAt, !!pageImage, contentHeight, width);
             
-            // Draw video info section
-            ctx.fillStyle = '#f9f9f9';
-            ctx.fillRect(0, canvas.height * 0.6, canvas.width, canvas.height * 0.4);
-            
-            // Draw title
-            ctx.fillStyle = '#000000';
-            ctx.font = 'bold 24px Arial';
-            this.wrapText(ctx, title, 20, canvas.height * 0.6 + 40, canvas.width - 40, 30);
-            
-            // Draw video URL (highlighted in red)
-            ctx.fillStyle = '#ff0000';
-            ctx.font = '18px Arial';
-            ctx.fillText(`URL: https://www.youtube.com/watch?v=${videoId}`, 20, canvas.height * 0.6 + 100);
-            
-            // Draw views and likes (highlighted in red)
-            const views = this.videos.find(v => v.videoId === videoId)?.views || 1000;
-            const likes = this.videos.find(v => v.videoId === videoId)?.likes || 100;
-            
-            ctx.fillText(`Views: ${views.toLocaleString()}`, 20, canvas.height * 0.6 + 130);
-            ctx.fillText(`Likes: ${likes.toLocaleString()}`, 20, canvas.height * 0.6 + 160);
-            
-            // Draw published date (highlighted in red)
-            const publishedDate = this.videos.find(v => v.videoId === videoId)?.publishedDate || new Date().toISOString();
-            ctx.fillText(`Data de publicação: ${new Date(publishedDate).toLocaleDateString()}`, 20, canvas.height * 0.6 + 190);
-            
-            // Convert canvas to data URL
-            const dataUrl = canvas.toDataURL('image/png');
+            // Mark demo screenshots so they can never pass as evidence
+            if (this.demoMode) {
+                this.drawDemoWatermark(ctx, canvas.width, canvas.height);
+            }
             
             return {
-                videoId,
-                title,
-                imageUrl: dataUrl
+                videoId: video.videoId,
+                title: video.title || video.videoId,
+                imageUrl: await this.canvasToDataUrl(canvas),
+                capturedAt,
+                method: this.method,
+                source: pageImage ? 'helper' : 'drawn'
             };
         } catch (error) {
             console.error('Error capturing screenshot:', error);
@@ -514,61 +1294,146 @@ class YouTubeExtractor {
         }
     }
 
+    // Ask the local helper for the watch page with the description expanded; null if it fails
+    async captureWithHelper(videoId) {
+        try {
+            const response = await fetch(`${this.helperUrl.replace(/\/+$/, '')}/screenshot?v=${videoId}`, PageScraper.withHelperHeader(this.getFetchOptions()));
+            if (!response.ok) {
+                throw new Error(`Helper screenshot failed: ${response.status}`);
+            }
+            return await createImageBitmap(await response.blob());
+        } catch (error) {
+            this.throwIfCancelled();
+            console.warn('Falling back to a drawn screenshot:', error);
+            return null;
+        }
+    }
+
+    // Draw a stand-in for the watch page with the current card template: thumbnail, title and exported values
+    async drawVideoCard(ctx, video) {
+        // Load thumbnail image, falling back from maxresdefault to hqdefault
+        let thumbnail = null;
+        for (const size of ['maxresdefault', 'hqdefault']) {
+            try {
+                thumbnail = await this.loadImage(`https://img.youtube.com/vi/${video.videoId}/${size}.jpg`);
+                break;
+            } catch (error) {
+                // Try the next size
+            }
+        }
+        
+        CardTemplates.draw(ctx, this.cardTemplate, video, { thumbnail, logo: await this.getCardLogo() });
+    }
+
+    // Decode the template's logo once and share it between captures; a logo that fails to load is left out
+    getCardLogo() {
+        if (!this.cardTemplate.logo) {
+            return Promise.resolve(null);
+        }
+        if (!this.cardLogo) {
+            this.cardLogo = this.loadImage(this.cardTemplate.logo).catch(error => {
+                console.warn('Could not load the card logo:', error);
+                return null;
+            });
+        }
+        return this.cardLogo;
+    }
+
+    // Draw the band under the image with the capture time and extraction method; a real page capture
+    // also lists the exported values, since the page itself may show them rounded or in another language
+    drawCaptureFooter(ctx, video, capturedAt, fromPage, top, width) {
+        ctx.fillStyle = '#eeeeee';
+        ctx.fillRect(0, top, width, YouTubeExtractor.CAPTURE_FOOTER_HEIGHT);
+        
+        const method = YouTubeExtractor.METHOD_LABELS[this.method] || 'Não informado';
+        const source = fromPage ? 'página capturada pelo auxiliar local' : 'imagem gerada a partir dos dados extraídos';
+        ctx.fillStyle = '#333333';
+        ctx.font = '16px Arial';
+        ctx.fillText(`Capturado em ${new Date(capturedAt).toLocaleString()} · Método de extração: ${method} · ${source}`, 20, top + 24);
+        
+        if (fromPage) {
+            const value = id => CardTemplates.getFieldText(video, id);
+            ctx.fillText(`Valores exportados: Views ${value('views')} · Likes ${value('likes')} · Publicação ${value('publishedDate')}`, 20, top + 48);
+        }
+    }
+
     // Capture screenshot of video
-    async captureVideoScreenshot(videoId, title) {
+    async captureVideoScreenshot(video) {
         // This is the same as captureVideoScreenshotWithExpandedDescription
         // In a real implementation, we would use different methods
-        return this.captureVideoScreenshotWithExpandedDescription(videoId, title);
+        return this.captureVideoScreenshotWithExpandedDescription(video);
     }
 
-    // Helper function to wrap text in canvas
-    wrapText(ctx, text, x, y, maxWidth, lineHeight) {
-        const words = text.split(' ');
-        let line = '';
-        let testLine = '';
-        let lineCount = 0;
+    // Create a drawing canvas; workers have no DOM and use an OffscreenCanvas instead
+    createCanvas(width, height) {
+        if (typeof document === 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
         
-        for (let n = 0; n < words.length; n++) {
-            testLine = line + words[n] + ' ';
-            const metrics = ctx.measureText(testLine);
-            const testWidth = metrics.width;
-            
-            if (testWidth > maxWidth && n > 0) {
-                ctx.fillText(line, x, y + (lineCount * lineHeight));
-                line = words[n] + ' ';
-                lineCount++;
-            } else {
-                line = testLine;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    // Load an image that can be drawn on a canvas without tainting it
+    async loadImage(url) {
+        if (typeof Image === 'undefined') {
+            const response = await fetch(url, this.getFetchOptions());
+            if (!response.ok) {
+                throw new Error(`Image request failed: ${response.status}`);
             }
+            return createImageBitmap(await response.blob());
         }
         
-        ctx.fillText(line, x, y + (lineCount * lineHeight));
+        const img = new Image();
+        await new Promise((resolve, reject) => {
+            img.onload = resolve;
+            img.onerror = reject;
+            img.crossOrigin = 'Anonymous';
+            img.src = url;
+        });
+        return img;
     }
 
-    // Parse ISO 8601 duration to seconds
-    parseDuration(duration) {
-        const match = duration.match(/PT(\d+H)?(\d+M)?(\d+S)?/);
-        
-        const hours = (match[1] && parseInt(match[1], 10)) || 0;
-        const minutes = (match[2] && parseInt(match[2], 10)) || 0;
-        const seconds = (match[3] && parseInt(match[3], 10)) || 0;
+    // Encode a canvas as a PNG data URL
+    async canvasToDataUrl(canvas) {
+        if (canvas.toDataURL) {
+            return canvas.toDataURL('image/png');
+        }
         
-        return hours * 3600 + minutes * 60 + seconds;
+        return this.blobToDataUrl(await canvas.convertToBlob({ type: 'image/png' }));
     }
 
-    // Parse duration string (MM:SS or HH:MM:SS) to seconds
-    parseDurationString(duration) {
-        const parts = duration.split(':').map(part => parseInt(part, 10));
-        
-        if (parts.length === 3) {
-            // HH:MM:SS
-            return parts[0] * 3600 + parts[1] * 60 + parts[2];
-        } else if (parts.length === 2) {
-            // MM:SS
-            return parts[0] * 60 + parts[1];
-        } else {
-            return 0;
-        }
+    // Read a blob as a data URL
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // Draw a diagonal demo watermark across the canvas
+    drawDemoWatermark(ctx, width, height) {
+        ctx.save();
+        ctx.translate(width / 2, height / 2);
+        ctx.rotate(-Math.PI / 8);
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.35)';
+        ctx.font = 'bold 96px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('DEMONSTRAÇÃO', 0, 0);
+        ctx.font = 'bold 32px Arial';
+        ctx.fillText('Dados fictícios — não usar como comprovação', 0, 60);
+        ctx.restore();
+    }
+
+    // Parse an ISO 8601 duration to seconds, including the day part of streams longer than 24 hours;
+    // upcoming premieres and live streams report P0D, which means there is no duration yet
+    parseDuration(duration) {
+        const seconds = LocaleParser.parseDuration(duration);
+        return seconds === 0 ? null : seconds;
     }
 
     // Format seconds to duration string
@@ -584,64 +1449,19 @@ class YouTubeExtractor {
         }
     }
 
-    // Parse count string (e.g. "1.2K", "4.5M") to number
-    parseCount(countStr) {
-        if (!countStr) return 0;
-        
-        const str = countStr.trim().toUpperCase();
-        
-        if (str.endsWith('K')) {
-            return Math.round(parseFloat(str.slice(0, -1)) * 1000);
-        } else if (str.endsWith('M')) {
-            return Math.round(parseFloat(str.slice(0, -1)) * 1000000);
-        } else if (str.endsWith('B')) {
-            return Math.round(parseFloat(str.slice(0, -1)) * 1000000000);
-        } else {
-            return parseInt(str.replace(/\D/g, ''), 10) || 0;
-        }
-    }
-
-    // Parse published date string to ISO date
-    parsePublishedDate(dateStr) {
-        if (!dateStr) return new Date().toISOString();
-        
-        try {
-            // Try to parse various date formats
-            const date = new Date(dateStr);
-            if (!isNaN(date.getTime())) {
-                return date.toISOString();
-            }
-            
-            // If direct parsing fails, try to extract date parts
-            const months = {
-                'jan': 0, 'fev': 1, 'mar': 2, 'abr': 3, 'mai': 4, 'jun': 5,
-                'jul': 6, 'ago': 7, 'set': 8, 'out': 9, 'nov': 10, 'dez': 11,
-                'jan.': 0, 'fev.': 1, 'mar.': 2, 'abr.': 3, 'mai.': 4, 'jun.': 5,
-                'jul.': 6, 'ago.': 7, 'set.': 8, 'out.': 9, 'nov.': 10, 'dez.': 11
-            };
-            
-            // Match patterns like "10 de jan. de 2023" or "10 jan 2023"
-            const match = dateStr.match(/(\d+)\s+(?:de\s+)?([a-z]{3})\.?\s+(?:de\s+)?(\d{4})/i);
-            
-            if (match) {
-                const day = parseInt(match[1], 10);
-                const month = months[match[2].toLowerCase()];
-                const year = parseInt(match[3], 10);
-                
-                if (!isNaN(day) && month !== undefined && !isNaN(year)) {
-                    return new Date(year, month, day).toISOString();
-                }
-            }
-            
-            // If all parsing fails, return current date
-            return new Date().toISOString();
-        } catch (error) {
-            console.error('Error parsing date:', error);
-            return new Date().toISOString();
-        }
+    // Group of sample videos used in demo mode
+    getDemoGroup() {
+        return {
+            type: 'demo',
+            id: 'demo',
+            input: 'demo',
+            label: 'Demonstração',
+            playlistId: null,
+            items: this.getDemoVideoIds().map((videoId, position) => ({ videoId, title: '', position }))
+        };
     }
 
-    // Get demo video IDs for fallback
+    // Get demo video IDs for demo mode
     getDemoVideoIds() {
         return [
             'dQw4w9WgXcQ',
@@ -652,7 +1472,7 @@ class YouTubeExtractor {
         ];
     }
 
-    // Get demo video data for fallback
+    // Get demo video data for demo mode
     getDemoVideoData(videoId) {
         const demoData = {
             'dQw4w9WgXcQ': {
@@ -697,13 +1517,6 @@ class YouTubeExtractor {
             }
         };
         
-        return demoData[videoId] || {
-            title: `Vídeo ${videoId}`,
-            views: Math.floor(Math.random() * 1000000),
-            likes: Math.floor(Math.random() * 50000),
-            duration: '3:30',
-            durationSeconds: 210,
-            publishedDate: new Date().toISOString()
-        };
+        return demoData[videoId];
     }
 }
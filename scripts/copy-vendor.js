@@ -0,0 +1,27 @@
+// File: scripts/copy-vendor.js
+
+// Copies the generator libraries from node_modules into js/vendor so the
+// static site never has to reach a CDN at runtime.
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const vendorDir = path.join(root, 'js', 'vendor');
+
+const files = [
+    { from: 'node_modules/xlsx/dist/xlsx.full.min.js', to: 'xlsx.full.min.js' },
+    { from: 'node_modules/docx/dist/index.umd.cjs', to: 'docx.umd.js' },
+    { from: 'node_modules/file-saver/dist/FileSaver.min.js', to: 'FileSaver.min.js' }
+];
+
+fs.mkdirSync(vendorDir, { recursive: true });
+
+files.forEach(file => {
+    const source = path.join(root, file.from);
+    if (!fs.existsSync(source)) {
+        console.error(`Missing ${file.from}. Run "npm install" first.`);
+        process.exit(1);
+    }
+    fs.copyFileSync(source, path.join(vendorDir, file.to));
+    console.log(`Copied ${file.from} -> js/vendor/${file.to}`);
+});
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+// File: scripts/helper-server.js
+
+// Optional local helper for the extractor. The static site cannot read youtube.com from the browser,
+// so this service loads pages for it, resolves their metadata and, when puppeteer is installed,
+// renders real screenshots of the watch page with the description expanded.
+//
+//   npx . [--port 8787] [--allow-origin https://example.github.io] [--allow-file]   (or: npm run helper)
+//
+// Only pages served from localhost may call it by default. Each --allow-origin adds one origin, such as
+// the address the site is published at; --allow-file lets pages opened from a local file (origin "null")
+// call it too, which sandboxed frames on any site can also claim to be.
+//
+// Endpoints (GET unless noted):
+//   /health                       { ok, version, screenshots }
+//   /page?url=<youtube url>       raw page HTML; POST forwards the body (playlist continuations)
+//   /metadata?v=<video id>        video data read from the watch page
+//   /metadata?list=<playlist id>  playlist title and videos
+//   /screenshot?v=<video id>      PNG of the watch page with the description expanded
+// Every endpoint but /health requires the X-Extractor-Helper header, which forces browsers to send a preflight.
+const http = require('http');
+// The site's scripts share classes as globals; the page parser expects LocaleParser to be one
+global.LocaleParser = require('../js/locale-parser.js');
+const PageScraper = require('../js/page-scraper.js');
+const { version } = require('../package.json');
+
+const DEFAULT_PORT = 8787;
+
+// Any port on the local machine, where the site is served during development
+const LOCAL_ORIGIN = /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+// Only YouTube pages are loaded, so the helper cannot be used as an open proxy
+const ALLOWED_HOSTS = ['www.youtube.com', 'youtube.com', 'm.youtube.com'];
+
+const scraper = new PageScraper();
+const allowedOrigins = getAllowedOrigins();
+let browserPromise = null;
+
+// Port from --port or the PORT environment variable
+function getPort() {
+    const index = process.argv.indexOf('--port');
+    const value = index !== -1 ? process.argv[index + 1] : process.env.PORT;
+    return parseInt(value, 10) || DEFAULT_PORT;
+}
+
+// Origins given with --allow-origin, plus "null" for local files when --allow-file is set
+function getAllowedOrigins() {
+    const origins = [];
+    process.argv.forEach((arg, index) => {
+        if (arg === '--allow-origin' && process.argv[index + 1]) {
+            origins.push(process.argv[index + 1].replace(/\/+$/, ''));
+        }
+    });
+    if (process.argv.includes('--allow-file')) {
+        origins.push('null');
+    }
+    return origins;
+}
+
+// Check whether a page from this origin may use the helper
+function isAllowedOrigin(origin) {
+    return allowedOrigins.includes(origin) || LOCAL_ORIGIN.test(origin);
+}
+
+// Load puppeteer if it was installed next to the project; screenshots are off without it
+function loadPuppeteer() {
+    try {
+        return require('puppeteer');
+    } catch (error) {
+        return null;
+    }
+}
+
+// Start one headless browser on first use and share it between screenshots
+function getBrowser() {
+    if (!browserPromise) {
+        const puppeteer = loadPuppeteer();
+        if (!puppeteer) {
+            throw httpError(501, 'Capturas indisponíveis: instale o puppeteer com "npm install puppeteer".');
+        }
+        browserPromise = puppeteer.launch({ headless: true });
+        browserPromise.catch(() => {
+            browserPromise = null;
+        });
+    }
+    return browserPromise;
+}
+
+// Error carrying the HTTP status to answer with
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Read a query parameter that must look like a YouTube ID
+function requireId(url, name) {
+    const value = url.searchParams.get(name);
+    if (!value || !/^[\w-]+$/.test(value)) {
+        throw httpError(400, `Parâmetro "${name}" ausente ou inválido.`);
+    }
+    return value;
+}
+
+// Read the whole request body as text
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+// Forward a YouTube page request and answer with its text
+async function handlePage(request, url) {
+    let target;
+    try {
+        target = new URL(url.searchParams.get('url'));
+    } catch (error) {
+        throw httpError(400, 'Parâmetro "url" ausente ou inválido.');
+    }
+    if (target.protocol !== 'https:' || !ALLOWED_HOSTS.includes(target.hostname)) {
+        throw httpError(403, 'Somente páginas do YouTube podem ser carregadas.');
+    }
+
+    const options = { headers: { 'Accept-Language': 'en' } };
+    if (request.method === 'POST') {
+        options.method = 'POST';
+        options.headers['Content-Type'] = 'application/json';
+        options.body = await readBody(request);
+    }
+    return { type: 'text/html; charset=utf-8', body: await PageScraper.directBackend(target.toString(), options) };
+}
+
+// Resolve a video's or playlist's data from its page
+async function handleMetadata(url) {
+    const data = url.searchParams.has('list')
+        ? await scraper.fetchPlaylist(requireId(url, 'list'))
+        : await scraper.fetchVideo(requireId(url, 'v'));
+    return { type: 'application/json; charset=utf-8', body: JSON.stringify(data) };
+}
+
+// Render the watch page with the description expanded and answer with a PNG
+async function handleScreenshot(url) {
+    const videoId = requireId(url, 'v');
+    const language = url.searchParams.get('hl') || 'pt-BR';
+    const browser = await getBrowser();
+    const page = await browser.newPage();
+
+    try {
+        // Tall enough to show the player, the title row and the expanded description together
+        await page.setViewport({ width: 1280, height: 1600 });
+        await page.goto(`https://www.youtube.com/watch?v=${videoId}&hl=${encodeURIComponent(language)}`, { waitUntil: 'networkidle2', timeout: 45000 });
+        await page.evaluate(() => {
+            const video = document.querySelector('video');
+            if (video) {
+                video.pause();
+            }
+            const expand = document.querySelector('#description-inline-expander #expand, tp-yt-paper-button#expand');
+            if (expand) {
+                expand.click();
+            }
+        });
+        // Give the expanded description time to lay out
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        return { type: 'image/png', body: await page.screenshot({ type: 'png' }) };
+    } finally {
+        await page.close();
+    }
+}
+
+// Route a request to its endpoint
+async function route(request, url) {
+    // Plain image tags, links and forms from any site reach the helper without an Origin; they cannot set
+    // this header, and pages that do are held to the origin allowlist by the preflight
+    if (url.pathname !== '/health' && !request.headers[PageScraper.HELPER_HEADER.toLowerCase()]) {
+        throw httpError(403, `Cabeçalho ${PageScraper.HELPER_HEADER} ausente.`);
+    }
+
+    switch (url.pathname) {
+        case '/health':
+            return {
+                type: 'application/json; charset=utf-8',
+                body: JSON.stringify({ ok: true, version, screenshots: !!loadPuppeteer() })
+            };
+        case '/page':
+            return handlePage(request, url);
+        case '/metadata':
+            return handleMetadata(url);
+        case '/screenshot':
+            return handleScreenshot(url);
+        default:
+            throw httpError(404, 'Endpoint desconhecido.');
+    }
+}
+
+const server = http.createServer(async (request, response) => {
+    // The site is served from another origin (localhost or the published site), so allowed origins are echoed back;
+    // Chrome also asks before letting a public page reach a private address. Requests without an Origin
+    // are not trusted for that reason alone: the endpoints that do work also require the helper header
+    const origin = request.headers.origin;
+    response.setHeader('Vary', 'Origin');
+    if (origin !== undefined) {
+        if (!isAllowedOrigin(origin)) {
+            console.warn(`Origem recusada: ${origin}`);
+            response.writeHead(403, { 'Content-Type': 'application/json; charset=utf-8' });
+            response.end(JSON.stringify({ error: 'Origem não permitida. Inicie o auxiliar com --allow-origin.' }));
+            return;
+        }
+        response.setHeader('Access-Control-Allow-Origin', origin);
+        response.setHeader('Access-Control-Allow-Headers', `Content-Type, ${PageScraper.HELPER_HEADER}`);
+        response.setHeader('Access-Control-Allow-Private-Network', 'true');
+    }
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    const url = new URL(request.url, 'http://localhost');
+    try {
+        const result = await route(request, url);
+        response.writeHead(200, { 'Content-Type': result.type });
+        response.end(result.body);
+    } catch (error) {
+        console.error(`${request.method} ${url.pathname}:`, error.message);
+        response.writeHead(error.status || 502, { 'Content-Type': 'application/json; charset=utf-8' });
+        response.end(JSON.stringify({ error: error.message }));
+    }
+});
+
+const port = getPort();
+server.listen(port, '127.0.0.1', () => {
+    console.log(`Auxiliar local do extrator em http://localhost:${port}`);
+    console.log(loadPuppeteer()
+        ? 'Capturas de tela reais ativadas (puppeteer).'
+        : 'Capturas de tela reais desativadas; instale o puppeteer para ativá-las.');
+});
+
+// Close the shared browser with the service
+process.on('SIGINT', async () => {
+    if (browserPromise) {
+        try {
+            await (await browserPromise).close();
+        } catch (error) {
+            // The browser never started; nothing to close
+        }
+    }
+    process.exit(0);
+});
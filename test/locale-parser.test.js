@@ -0,0 +1,111 @@
+// File: test/locale-parser.test.js
+
+// Dates must keep their calendar day west of UTC, where midnight UTC is still the day before
+process.env.TZ = 'America/Sao_Paulo';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocaleParser = require('../js/locale-parser.js');
+
+// Relative dates are counted back from this moment
+const NOW = new Date('2024-06-15T12:00:00Z');
+
+const COUNTS = [
+    // English
+    ['1,234,567 views', 1234567],
+    ['1 234 views', 1234],
+    ['1.2K views', 1200],
+    ['4.5M', 4500000],
+    ['2B', 2e9],
+    ['No views', 0],
+    // Portuguese (Brazil)
+    ['1.234.567 visualizações', 1234567],
+    ['1,2 mil visualizações', 1200],
+    ['12 mil', 12000],
+    ['3,4 mi', 3400000],
+    ['3,4 mi de visualizações', 3400000],
+    ['1,1 bi', 1100000000],
+    ['5 mil curtidas', 5000],
+    ['Nenhuma visualização', 0],
+    // Spanish
+    ['1,2 M de visualizaciones', 1200000],
+    ['12 mil M', 12e9],
+    ['12 mil M de visualizaciones', 12e9],
+    ['5 mil me gusta', 5000],
+    // Not a count
+    ['views', null],
+    ['1,2 visualizações', null],
+    ['', null],
+    [null, null]
+];
+
+const DURATIONS = [
+    ['12:34', 754],
+    ['1:02:03', 3723],
+    ['75:00', 4500],
+    ['PT3M33S', 213],
+    ['PT1H2M3S', 3723],
+    ['P1DT2H3M', 93780],
+    ['P0D', 0],
+    ['1 hora e 2 minutos', 3720],
+    ['2 minutes, 3 seconds', 123],
+    ['3 min 5 s', 185],
+    // Not a duration
+    ['1:75:00', null],
+    ['PT', null],
+    ['abc', null],
+    ['', null]
+];
+
+const DATES = [
+    // Calendar dates carry no time zone
+    ['2024-01-15', '2024-01-15'],
+    ['15 de jan. de 2024', '2024-01-15'],
+    ['Estreou em 15 de jan. de 2024', '2024-01-15'],
+    ['Estreou em 3 de mar. de 2023', '2023-03-03'],
+    ['Transmitido ao vivo em 10 de dez. de 2022', '2022-12-10'],
+    ['Streamed live on Jan 15, 2024', '2024-01-15'],
+    ['Premiered Mar 3, 2023', '2023-03-03'],
+    ['Estrenado el 5 ene 2024', '2024-01-05'],
+    ['15/01/2024', '2024-01-15'],
+    ['01/15/2024', '2024-01-15'],
+    // Timestamps keep their instant
+    ['2024-01-15T00:00:00-08:00', '2024-01-15T08:00:00.000Z'],
+    // Relative dates
+    ['há 3 dias', '2024-06-12T12:00:00.000Z'],
+    ['Transmitido há 2 semanas', '2024-06-01T12:00:00.000Z'],
+    ['há 1 mês', '2024-05-15T12:00:00.000Z'],
+    ['3 days ago', '2024-06-12T12:00:00.000Z'],
+    ['Streamed 2 hours ago', '2024-06-15T10:00:00.000Z'],
+    ['hace 1 año', '2023-06-15T12:00:00.000Z'],
+    // Not a date, or not one that can be read without guessing
+    ['03/04/2023', null],
+    ['31 de fev. de 2024', null],
+    ['3 dias', null],
+    ['ontem à tarde', null],
+    ['', null]
+];
+
+test('parseCount reads abbreviated and full counts', () => {
+    COUNTS.forEach(([text, expected]) => {
+        assert.equal(LocaleParser.parseCount(text), expected, JSON.stringify(text));
+    });
+});
+
+test('parseDuration reads clock, ISO 8601 and spelled-out durations', () => {
+    DURATIONS.forEach(([text, expected]) => {
+        assert.equal(LocaleParser.parseDuration(text), expected, JSON.stringify(text));
+    });
+});
+
+test('parseDate reads absolute and relative dates', () => {
+    DATES.forEach(([text, expected]) => {
+        assert.equal(LocaleParser.parseDate(text, NOW), expected, JSON.stringify(text));
+    });
+});
+
+test('toDate keeps a calendar date on the same local day', () => {
+    const date = LocaleParser.toDate(LocaleParser.parseDate('Estreou em 15 de jan. de 2024'));
+    assert.deepEqual([date.getFullYear(), date.getMonth(), date.getDate()], [2024, 0, 15]);
+    assert.equal(LocaleParser.toDate('2024-01-15T08:00:00.000Z').getTime(), Date.parse('2024-01-15T08:00:00.000Z'));
+});
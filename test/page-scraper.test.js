@@ -0,0 +1,139 @@
+// File: test/page-scraper.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// The page parser reads counts and dates through LocaleParser, which the site shares as a global
+global.LocaleParser = require('../js/locale-parser.js');
+const PageScraper = require('../js/page-scraper.js');
+
+// Saved YouTube responses, trimmed to the parts the parser reads
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+test('parsePlaylistPage reads the title, first videos and continuation', () => {
+    const page = PageScraper.parsePlaylistPage(fixture('playlist.html'));
+
+    assert.equal(page.title, 'Rick Astley "Greatest Hits" {2024}');
+    assert.deepEqual(page.videos.map(video => video.videoId), ['dQw4w9WgXcQ', 'yPYZpwSpKmA', 'AAAAAAAAAAA', 'BBBBBBBBBBB']);
+    assert.equal(page.videos[1].title, 'Rick Astley - Together Forever {Official Video}');
+    assert.equal(page.videos[2].title, '[Private video]');
+    assert.equal(page.continuation, '4qmFsgJhEhRWTFBMZml4dHVyZTAwMDEaFENBRjZCbEJVT2tOSFVR');
+    assert.equal(page.innertube.apiKey, 'AIzaSyTestKey_fixture');
+    assert.equal(page.innertube.context.client.clientName, 'WEB');
+});
+
+test('parsePlaylistPage returns null for a private playlist', () => {
+    assert.equal(PageScraper.parsePlaylistPage(fixture('playlist-private.html')), null);
+});
+
+test('collectPlaylistEntries reads a continuation response', () => {
+    const entries = PageScraper.collectPlaylistEntries(JSON.parse(fixture('playlist-continuation.json')));
+
+    assert.deepEqual(entries.videos, [
+        { videoId: 'lXMskKTw3Bc', title: 'Rick Astley - Whenever You Need Somebody (Official Video)' },
+        { videoId: 'BeyEGebJ1l4', title: 'Rick Astley - She Wants To Dance With Me (Official Video)' }
+    ]);
+    assert.equal(entries.continuation, null);
+});
+
+test('fetchPlaylist follows the continuation and stops at the last page', async () => {
+    const requests = [];
+    const scraper = new PageScraper(async (url, options) => {
+        requests.push({ url, body: options.body ? JSON.parse(options.body) : null });
+        return url.includes('/youtubei/v1/browse') ? fixture('playlist-continuation.json') : fixture('playlist.html');
+    });
+
+    const playlist = await scraper.fetchPlaylist('PLfixture0001');
+
+    assert.equal(playlist.videos.length, 6);
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].url, 'https://www.youtube.com/youtubei/v1/browse?key=AIzaSyTestKey_fixture&prettyPrint=false');
+    assert.equal(requests[1].body.continuation, '4qmFsgJhEhRWTFBMZml4dHVyZTAwMDEaFENBRjZCbEJVT2tOSFVR');
+});
+
+test('fetchPlaylist rejects a private playlist', async () => {
+    const scraper = new PageScraper(async () => fixture('playlist-private.html'));
+    await assert.rejects(scraper.fetchPlaylist('PLprivate'), /Playlist não encontrada ou privada/);
+});
+
+test('parseVideoPage reads a regular watch page', () => {
+    const video = PageScraper.parseVideoPage(fixture('watch.html'));
+
+    assert.equal(video.found, true);
+    assert.equal(video.title, 'Rick Astley - Never Gonna Give You Up (Official Music Video)');
+    assert.equal(video.viewCount, 1589013478);
+    assert.equal(video.likeCount, 18170264);
+    assert.equal(video.lengthSeconds, 213);
+    assert.equal(video.publishDate, '2009-10-24T23:57:33-07:00');
+    assert.equal(video.channelTitle, 'Rick Astley');
+    assert.equal(video.channelId, 'UCuAXFkgsw1L7xaCfnd5JJOw');
+    assert.equal(video.description, 'The official video for “Never Gonna Give You Up” by Rick Astley. {Remastered in 4K}');
+    assert.deepEqual(video.tags, ['rick astley', 'never gonna give you up']);
+    assert.equal(video.category, 'Music');
+    assert.equal(video.thumbnailUrl, 'https://i.ytimg.com/vi/dQw4w9WgXcQ/maxresdefault.jpg');
+    assert.equal(video.isLive, false);
+    assert.equal(video.playabilityStatus, 'OK');
+    assert.equal(video.playabilityReason, null);
+});
+
+test('parseVideoPage falls back to the page text for a live stream', () => {
+    const video = PageScraper.parseVideoPage(fixture('watch-live.html'));
+
+    assert.equal(video.found, true);
+    assert.equal(video.viewCount, 31245);
+    assert.equal(video.likeCount, 1200);
+    assert.equal(video.publishDate, 'Started streaming on Jul 12, 2022');
+    assert.equal(LocaleParser.parseDate(video.publishDate), '2022-07-12');
+    assert.equal(video.isLive, true);
+});
+
+test('parseVideoPage reports an unavailable video', () => {
+    const video = PageScraper.parseVideoPage(fixture('watch-unavailable.html'));
+
+    assert.equal(video.found, false);
+    assert.equal(video.title, null);
+    assert.equal(video.viewCount, null);
+    assert.equal(video.likeCount, null);
+    assert.equal(video.playabilityStatus, 'ERROR');
+    assert.equal(video.playabilityReason, 'Video unavailable');
+});
+
+test('findLikeCount reads the like button label in both layouts', () => {
+    const watchData = PageScraper.extractJson(fixture('watch.html'), 'ytInitialData');
+    const liveData = PageScraper.extractJson(fixture('watch-live.html'), 'ytInitialData');
+
+    assert.equal(PageScraper.findLikeCount(watchData), 18170264);
+    assert.equal(PageScraper.findLikeCount(liveData), 1200);
+    assert.equal(PageScraper.findLikeCount({ accessibility: { label: '1,204 likes' } }), 1204);
+    // The subscriber count label must not be read as likes
+    assert.equal(PageScraper.findLikeCount({ label: '4.1 million subscribers' }), null);
+});
+
+test('extractJson finds the assigned object and skips other mentions', () => {
+    const channel = fixture('channel.html');
+    const data = PageScraper.extractJson(channel, 'ytInitialData');
+
+    assert.equal(data.metadata.channelMetadataRenderer.externalId, 'UCuAXFkgsw1L7xaCfnd5JJOw');
+    // Braces inside strings do not end the object
+    assert.equal(data.metadata.channelMetadataRenderer.description, 'Never gonna give you up {official}');
+    assert.equal(PageScraper.extractJson(fixture('playlist.html'), '"INNERTUBE_CONTEXT"', ':').client.hl, 'en');
+    assert.equal(PageScraper.extractJson(channel, 'ytInitialPlayerResponse'), null);
+    assert.equal(PageScraper.extractJson('var ytInitialData = {"broken": };', 'ytInitialData'), null);
+});
+
+test('fetchChannel reads the channel ID from a handle page', async () => {
+    let requested = null;
+    const scraper = new PageScraper(async url => {
+        requested = url;
+        return fixture('channel.html');
+    });
+
+    const channel = await scraper.fetchChannel({ type: 'handle', id: '@RickAstleyYT' });
+
+    assert.equal(requested, 'https://www.youtube.com/@RickAstleyYT?hl=en');
+    assert.deepEqual(channel, { id: 'UCuAXFkgsw1L7xaCfnd5JJOw', title: 'Rick Astley' });
+});